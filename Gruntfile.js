@@ -21,7 +21,8 @@ module.exports = function (grunt) {
             },
             dist: {
                 files: {
-                    'dist/<%= pkg.name %>.min.js': ['src/dom-to-image.js']
+                    'dist/<%= pkg.name %>.min.js': ['src/dom-to-image.js'],
+                    'dist/<%= pkg.name %>-frame.min.js': ['src/dom-to-image-frame.js']
                 }
             }
         },
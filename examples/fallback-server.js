@@ -18,12 +18,22 @@
 const express = require('express');
 const path = require('path');
 const multer = require('multer');
+const { Readable } = require('stream');
 const { renderSvgFullPage } = require('../src/renderer');
 
 const app = express();
 const upload = multer();
 const PORT = process.env.PORT || 4000;
 
+// ✅ 프록시 허용 호스트 (쉼표 구분, *.example.com 은 하위 도메인까지 허용)
+const PROXY_ALLOWLIST = (process.env.PROXY_ALLOWLIST || '')
+  .split(',')
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// 프록시가 그대로 전달하는 응답 헤더
+const PROXY_HEADERS = ['content-type', 'content-length', 'cache-control', 'etag', 'last-modified'];
+
 // ✅ 대용량 SVG 지원 (제한 없음)
 app.use(express.json({ limit: '500mb' }));
 app.use(express.text({ limit: '500mb' }));
@@ -128,6 +138,75 @@ app.post('/render', upload.single('svg'), async (req, res) => {
   }
 });
 
+/**
+ * GET /proxy?url=<인코딩된 URL>
+ * 교차 출처 이미지/폰트 프록시 (dom-to-image의 corsProxy 옵션용)
+ *
+ * 클라이언트 설정:
+ * domtoimage.toPng(node, { corsProxy: 'http://localhost:4000/proxy?url={url}' })
+ *
+ * - PROXY_ALLOWLIST 에 있는 호스트만 허용 (비어 있으면 모두 거부)
+ * - 리다이렉트는 허용 목록을 우회할 수 있으므로 따라가지 않음
+ * - 원격 응답을 버퍼링 없이 스트리밍
+ */
+app.get('/proxy', async (req, res) => {
+  let target;
+  try {
+    target = new URL(String(req.query.url || ''));
+  } catch (error) {
+    return res.status(400).json({
+      error: 'url 파라미터가 올바른 URL이 아닙니다',
+    });
+  }
+
+  if (!['http:', 'https:'].includes(target.protocol)) {
+    return res.status(400).json({
+      error: 'http, https URL만 프록시할 수 있습니다',
+    });
+  }
+
+  if (!isAllowedHost(target.hostname)) {
+    return res.status(403).json({
+      error: `허용되지 않은 호스트입니다: ${target.hostname}`,
+    });
+  }
+
+  try {
+    const upstream = await fetch(target.href, { redirect: 'error' });
+
+    res.status(upstream.status);
+    PROXY_HEADERS.forEach((name) => {
+      const value = upstream.headers.get(name);
+      if (value) res.set(name, value);
+    });
+    res.set('Access-Control-Allow-Origin', '*');
+
+    if (!upstream.body) return res.end();
+    return Readable.fromWeb(upstream.body)
+      .on('error', () => res.destroy())
+      .pipe(res);
+  } catch (error) {
+    console.error('❌ 프록시 에러:', target.href, error.message);
+    return res.status(502).json({
+      error: `원격 리소스를 가져오지 못했습니다: ${error.message}`,
+    });
+  }
+});
+
+/**
+ * 프록시 허용 호스트인지 확인
+ *
+ * @param {string} hostname - 요청 대상 호스트
+ * @returns {boolean} 허용되면 true
+ */
+function isAllowedHost(hostname) {
+  const host = hostname.toLowerCase();
+  return PROXY_ALLOWLIST.some((allowed) => {
+    if (allowed.startsWith('*.')) return host.endsWith(allowed.slice(1));
+    return host === allowed;
+  });
+}
+
 /**
  * POST /render/batch
  * 여러 SVG 일괄 렌더링 (향후 기능)
@@ -175,6 +254,7 @@ app.listen(PORT, () => {
   console.log(`\n📝 사용 가능한 엔드포인트:`);
   console.log(`   GET  /health           - 서버 상태 확인`);
   console.log(`   POST /render           - SVG 렌더링`);
+  console.log(`   GET  /proxy?url=...    - 교차 출처 리소스 프록시 (허용: ${PROXY_ALLOWLIST.join(', ') || '없음'})`);
   console.log(`   GET  /stats            - 서버 통계`);
   console.log(`\n💡 예제 요청:`);
   console.log(`   curl -X POST http://localhost:${PORT}/render \\`);
@@ -8,6 +8,10 @@ module.exports = function (config) {
                 pattern: 'spec/resources/**/*',
                 included: false,
                 served: true
+            }, {
+                pattern: 'src/dom-to-image-frame.js',
+                included: false,
+                served: true
             }, {
                 pattern: 'bower_components/fontawesome/fonts/*.*',
                 included: false,
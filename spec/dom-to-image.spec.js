@@ -13,6 +13,7 @@
     describe('domtoimage', function () {
 
         afterEach(purgePage);
+        afterEach(domtoimage.clearCache);
 
         it('should load', function () {
             assert.ok(domtoimage);
@@ -87,6 +88,131 @@
                     .then(done).catch(done);
             });
 
+            it('should render bigger node with compact styles', function (done) {
+                var full;
+                loadTestPage('bigger/dom-node.html', 'bigger/style.css', 'bigger/control-image')
+                    .then(function () {
+                        var parent = $('#dom-node');
+                        var child = $('.dom-child-node');
+                        for (var i = 0; i < 10; i++) {
+                            parent.append(child.clone());
+                        }
+                        return domtoimage.toSvg(domNode());
+                    })
+                    .then(function (svg) {
+                        full = svg;
+                        return domtoimage.toSvg(domNode(), { compactStyles: true });
+                    })
+                    .then(function (svg) {
+                        assert.isBelow(svg.length, full.length / 2);
+                        assert.equal($('iframe').length, 0);
+                        return svg;
+                    })
+                    .then(check)
+                    .then(done).catch(done);
+            });
+
+            it('should not render its own sandbox when rendering body with compact styles', function (done) {
+                var filtered = [];
+
+                loadTestPage('small/dom-node.html', 'small/style.css')
+                    .then(function () {
+                        return domtoimage.toSvg(document.body, {
+                            compactStyles: true,
+                            filter: function (node) {
+                                filtered.push(node);
+                                return true;
+                            }
+                        });
+                    })
+                    .then(function (svg) {
+                        var iframes = filtered.filter(function (node) {
+                            return node.nodeName === 'IFRAME';
+                        });
+                        assert.equal(iframes.length, 0);
+                        assert.notInclude(svg, '<html');
+                        assert.equal($('iframe').length, 0);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should render bigger node with shared styles', function (done) {
+                loadTestPage('bigger/dom-node.html', 'bigger/style.css', 'bigger/control-image')
+                    .then(function () {
+                        var parent = $('#dom-node');
+                        var child = $('.dom-child-node');
+                        for (var i = 0; i < 10; i++) {
+                            parent.append(child.clone());
+                        }
+                        return domtoimage.toSvg(domNode(), { shareStyles: true });
+                    })
+                    .then(function (svg) {
+                        var rules = svg.match(/\.u[a-z0-9]+\{/g);
+                        assert.isBelow(rules.length, $('#dom-node *').length);
+                        assert.notInclude(svg, '<div class="dom-child-node" style=');
+                        return svg;
+                    })
+                    .then(check)
+                    .then(done).catch(done);
+            });
+
+            it('should keep shared styles over style elements within the node', function (done) {
+                var inline;
+
+                loadTestPage('small/dom-node.html', 'small/style.css')
+                    .then(function () {
+                        domNode().innerHTML = '<style>#dom-node p { color: rgb(0, 0, 255); }</style>' +
+                            '<p style="color: rgb(255, 0, 0);">inline color wins</p>';
+                        return domtoimage.toPng(domNode());
+                    })
+                    .then(function (png) {
+                        inline = png;
+                        return domtoimage.toSvg(domNode(), { shareStyles: true });
+                    })
+                    .then(function (svg) {
+                        assert.include(svg, 'color: rgb(255, 0, 0) !important;');
+                        return domtoimage.toPng(domNode(), { shareStyles: true });
+                    })
+                    .then(function (png) {
+                        assert.equal(png, inline);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should apply bgcolor and size options over shared styles', function (done) {
+                var options = { bgcolor: 'rgb(255, 0, 0)', width: 200, height: 150 };
+                var unshared;
+
+                loadTestPage('small/dom-node.html', 'small/style.css')
+                    .then(function () {
+                        return domtoimage.toPng(domNode(), options);
+                    })
+                    .then(function (png) {
+                        unshared = png;
+                        return domtoimage.toSvg(domNode(), {
+                            bgcolor: options.bgcolor,
+                            width: options.width,
+                            height: options.height,
+                            shareStyles: true
+                        });
+                    })
+                    .then(function (svg) {
+                        assert.include(svg, 'background-color: rgb(255, 0, 0) !important;');
+                        assert.include(svg, 'width: 200px !important;');
+                        assert.include(svg, 'height: 150px !important;');
+                        return domtoimage.toPng(domNode(), {
+                            bgcolor: options.bgcolor,
+                            width: options.width,
+                            height: options.height,
+                            shareStyles: true
+                        });
+                    })
+                    .then(function (png) {
+                        assert.equal(png, unshared);
+                    })
+                    .then(done).catch(done);
+            });
+
             it('should handle "#" in colors and attributes', function (done) {
                 loadTestPage('hash/dom-node.html', 'hash/style.css', 'small/control-image')
                     .then(renderAndCheck)
@@ -246,6 +372,155 @@
                     .then(done).catch(done);
             });
 
+            it('should snapshot registered canvas', function (done) {
+                var canvas;
+                loadTestPage('canvas/dom-node.html', 'canvas/style.css')
+                    .then(function () {
+                        canvas = document.getElementById('content');
+                        var gl = canvas.getContext('webgl', { preserveDrawingBuffer: false });
+
+                        domtoimage.registerCanvas(canvas, function (registered) {
+                            assert.equal(registered, canvas);
+                            gl.clearColor(1, 0, 0, 1);
+                            gl.clear(gl.COLOR_BUFFER_BIT);
+                            return canvas;
+                        });
+                        return domtoimage.toPixelData(domNode());
+                    })
+                    .then(function (pixels) {
+                        assert.deepEqual(Array.prototype.slice.call(pixels, 0, 4), [255, 0, 0, 255]);
+                    })
+                    .then(function () {
+                        domtoimage.unregisterCanvas(canvas);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should reject with clear error when registered canvas cannot be snapshot', function (done) {
+                loadTestPage('canvas/dom-node.html', 'canvas/style.css')
+                    .then(function () {
+                        var canvas = document.getElementById('content');
+                        domtoimage.registerCanvas(canvas, function () {
+                            throw new Error('context lost');
+                        });
+                        return domtoimage.toSvg(domNode());
+                    })
+                    .then(function () {
+                        done(new Error('rendering should have failed'));
+                    })
+                    .catch(function (error) {
+                        assert.equal(error.message, 'cannot snapshot canvas: context lost');
+                        done();
+                    })
+                    .catch(done);
+            });
+
+            it('should warn about blank canvas only once', function (done) {
+                var warn = console.warn;
+                var warnings = 0;
+
+                loadTestPage('canvas/dom-node.html', 'canvas/style.css')
+                    .then(function () {
+                        console.warn = function () {
+                            warnings++;
+                        };
+                        return domtoimage.toSvg(domNode());
+                    })
+                    .then(function () {
+                        return domtoimage.toSvg(domNode());
+                    })
+                    .then(function () {
+                        console.warn = warn;
+                        assert.equal(warnings, 1);
+                    })
+                    .then(done).catch(function (error) {
+                        console.warn = warn;
+                        done(error);
+                    });
+            });
+
+            it('should reject when canvas known to clear its drawing buffer is blank', function (done) {
+                var animated = true;
+
+                loadTestPage('canvas/dom-node.html', 'canvas/style.css')
+                    .then(function () {
+                        var canvas = document.getElementById('content');
+                        var ctx = canvas.getContext('2d');
+                        ctx.fillStyle = '#ff0000';
+                        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+                        // Reads as blank but right after a frame is drawn, and only while it's animated
+                        var toDataURL = canvas.toDataURL;
+                        var blank = document.createElement('canvas');
+                        var reads = 0;
+                        blank.width = canvas.width;
+                        blank.height = canvas.height;
+                        canvas.toDataURL = function () {
+                            reads++;
+                            return animated && reads % 2 === 0 ? toDataURL.call(canvas) : blank.toDataURL();
+                        };
+                        return domtoimage.toSvg(domNode());
+                    })
+                    .then(function () {
+                        animated = false;
+                        return domtoimage.toSvg(domNode());
+                    })
+                    .then(function () {
+                        done(new Error('rendering should have failed'));
+                    })
+                    .catch(function (error) {
+                        assert.include(error.message, 'cannot snapshot canvas');
+                        done();
+                    })
+                    .catch(done);
+            });
+
+            it('should render current frame of <video>', function (done) {
+                var canvas = document.createElement('canvas');
+                canvas.width = 100;
+                canvas.height = 50;
+                var ctx = canvas.getContext('2d');
+                ctx.fillStyle = '#ff0000';
+                ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+                var video = document.createElement('video');
+                video.muted = true;
+                video.style.objectFit = 'cover';
+
+                loadTestPage('small/dom-node.html', 'small/style.css')
+                    .then(function () {
+                        domNode().appendChild(video);
+                        return new Promise(function (resolve) {
+                            video.onloadeddata = resolve;
+                            video.srcObject = canvas.captureStream();
+                            video.play();
+                        });
+                    })
+                    .then(function () {
+                        return domtoimage.toSvg(domNode());
+                    })
+                    .then(function (svg) {
+                        assert.notInclude(svg, '<video');
+                        assert.match(svg, /<img[^>]*object-fit: cover[^>]*src="data:image\/png;base64,|<img[^>]*src="data:image\/png;base64,[^"]*"[^>]*object-fit: cover/);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should render poster of <video> which has no frame to show', function (done) {
+                loadTestPage('small/dom-node.html', 'small/style.css')
+                    .then(function () {
+                        var video = document.createElement('video');
+                        video.poster = BASE_URL + 'images/image.png';
+                        domNode().appendChild(video);
+                        return domtoimage.toSvg(domNode());
+                    })
+                    .then(function (svg) {
+                        assert.match(svg, /<img[^>]*src="data:image\/png;base64,iVBOR/);
+                        assert.notInclude(svg, 'images/image.png');
+                    })
+                    .then(done).catch(done);
+            });
+
             it('should render bgcolor', function (done) {
                 loadTestPage('bgcolor/dom-node.html', 'bgcolor/style.css', 'bgcolor/control-image')
                     .then(function () {
@@ -359,93 +634,647 @@
                     .then(done).catch(done);
             });
 
-            function compareToControlImage(image, tolerance) {
-                assert.isTrue(imagediff.equal(image, controlImage(), tolerance), 'rendered and control images should be same');
-            }
-
-            function renderAndCheck() {
-                return Promise.resolve()
-                    .then(renderToPng)
-                    .then(check);
-            }
-
-            function check(dataUrl) {
-                return Promise.resolve(dataUrl)
-                    .then(drawDataUrl)
-                    .then(compareToControlImage);
-            }
-
-            function drawDataUrl(dataUrl, dimensions) {
-                return Promise.resolve(dataUrl)
-                    .then(makeImgElement)
-                    .then(function (image) {
-                        return drawImgElement(image, null, dimensions);
-                    });
-            }
+            it('should keep options of overlapping renders apart', function (done) {
+                var placeholderA = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAAAXNSR0IArs4c6QAAAARnQU1BAACxjwv8YQUAAAAJcEhZcwAADsMAAA7DAcdvqGQAAAAMSURBVBhXY7h79y4ABTICmGnXPbMAAAAASUVORK5CYII=';
+                var placeholderB = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAADElEQVR4nGP4z8AAAAMBAQDJ/pLvAAAAAElFTkSuQmCC';
 
-            function assertTextRendered(lines) {
-                return function () {
-                    return new Promise(function (resolve, reject) {
-                        Tesseract.recognize(canvas())
-                            .then(function(result) {
-                                lines.forEach(function(line) {
-                                    try {
-                                        assert.include(result.text, line);
-                                    } catch(e) {
-                                        reject(e);
-                                    }
-                                });
-                                resolve();
-                            });
-                    });
-                };
-            }
+                loadTestPage('small/dom-node.html', 'small/style.css')
+                    .then(function () {
+                        $('#dom-node').append('<img src="' + BASE_URL + 'images/missing.png">');
+                    })
+                    .then(function () {
+                        return Promise.all([
+                            domtoimage.toSvg(domNode(), { imagePlaceholder: placeholderA }),
+                            domtoimage.toSvg(domNode(), { imagePlaceholder: placeholderB, cacheBust: true })
+                        ]);
+                    })
+                    .then(function (svgs) {
+                        assert.include(svgs[0], placeholderA);
+                        assert.notInclude(svgs[0], placeholderB);
+                        assert.include(svgs[1], placeholderB);
+                        assert.notInclude(svgs[1], placeholderA);
+                    })
+                    .then(done).catch(done);
+            });
 
-            function makeImgElement(src) {
-                return new Promise(function (resolve) {
-                    var image = new Image();
-                    image.onload = function () {
-                        resolve(image);
-                    };
-                    image.src = src;
-                });
-            }
+            it('should reject with AbortError when signal is already aborted', function (done) {
+                var controller = new global.AbortController();
+                controller.abort();
 
-            function drawImgElement(image, node, dimensions) {
-                node = node || domNode();
-                dimensions = dimensions || {};
-                canvas().height = dimensions.height || node.offsetHeight.toString();
-                canvas().width = dimensions.width || node.offsetWidth.toString();
-                canvas().getContext('2d').imageSmoothingEnabled = false;
-                canvas().getContext('2d').drawImage(image, 0, 0);
-                return image;
-            }
+                loadTestPage('small/dom-node.html', 'small/style.css')
+                    .then(function () {
+                        return domtoimage.toSvg(domNode(), { signal: controller.signal });
+                    })
+                    .then(function () {
+                        done(new Error('rendering should have been aborted'));
+                    })
+                    .catch(function (error) {
+                        assert.equal(error.name, 'AbortError');
+                        done();
+                    })
+                    .catch(done);
+            });
 
-            function renderToPng(node) {
-                return domtoimage.toPng(node || domNode());
-            }
-        });
+            it('should stop rendering to png when aborted midway', function (done) {
+                var controller = new global.AbortController();
+                var requestSignal;
 
-        describe('inliner', function () {
+                loadTestPage('small/dom-node.html', 'small/style.css')
+                    .then(function () {
+                        domNode().innerHTML = '<div style="width: 10px; height: 10px; ' +
+                            'background-image: url(' + BASE_URL + 'images/image.png);"></div>';
+                        return domtoimage.toPng(domNode(), {
+                            signal: controller.signal,
+                            cache: false,
+                            fetch: function (url, init) {
+                                requestSignal = init.signal;
+                                setTimeout(function () {
+                                    controller.abort();
+                                });
+                                return new Promise(function () {});
+                            }
+                        });
+                    })
+                    .then(function () {
+                        done(new Error('rendering should have been aborted'));
+                    })
+                    .catch(function (error) {
+                        assert.equal(error.name, 'AbortError');
+                        assert.isTrue(requestSignal.aborted);
+                        done();
+                    })
+                    .catch(done);
+            });
 
-            var NO_BASE_URL = null;
+            it('should report progress of every phase', function (done) {
+                var events = [];
 
-            it('should parse urls', function () {
-                var parse = domtoimage.impl.inliner.impl.readUrls;
+                loadTestPage('small/dom-node.html', 'small/style.css', 'small/control-image')
+                    .then(function () {
+                        return domtoimage.toPng(domNode(), {
+                            onProgress: function (event) {
+                                events.push(event);
+                            }
+                        });
+                    })
+                    .then(check)
+                    .then(function () {
+                        var phases = events
+                            .map(function (event) {
+                                return event.phase;
+                            })
+                            .filter(function (phase, index, phases) {
+                                return phases.indexOf(phase) === index;
+                            });
+                        assert.deepEqual(phases, ['load', 'clone', 'fonts', 'images', 'serialize', 'rasterize']);
 
-                assert.deepEqual(parse('url("http://acme.com/file")'), ['http://acme.com/file']);
-                assert.deepEqual(parse('url(foo.com), url(\'bar.org\')'), ['foo.com', 'bar.org']);
+                        phases.forEach(function (phase) {
+                            var last = events.filter(function (event) {
+                                return event.phase === phase;
+                            }).pop();
+                            assert.equal(last.done, last.total, 'phase ' + phase + ' should complete');
+                        });
+                    })
+                    .then(done).catch(done);
             });
 
-            it('should ignore data urls', function () {
-                var parse = domtoimage.impl.inliner.impl.readUrls;
+            it('should let onClone adjust the clone', function (done) {
+                var original;
 
-                assert.deepEqual(parse('url(foo.com), url(data:AAA)'), ['foo.com']);
+                loadTestPage('small/dom-node.html', 'small/style.css')
+                    .then(function () {
+                        original = domNode();
+                        return domtoimage.toSvg(original, {
+                            onClone: function (clone) {
+                                assert.notEqual(clone, original);
+                                clone.setAttribute('data-exported', 'yes');
+                                return delay(10)();
+                            }
+                        });
+                    })
+                    .then(function (svg) {
+                        assert.include(svg, 'data-exported="yes"');
+                        assert.isFalse(original.hasAttribute('data-exported'));
+                    })
+                    .then(done).catch(done);
             });
 
-            it('should inline url', function (done) {
-                var inline = domtoimage.impl.inliner.impl.inline;
-
+            it('should flatten open shadow trees and slotted content', function (done) {
+                loadTestPage('small/dom-node.html', 'small/style.css')
+                    .then(function () {
+                        var host = document.createElement('div');
+                        host.innerHTML = '<span slot="title">slotted title</span><b>slotted body</b>';
+                        host.attachShadow({ mode: 'open' }).innerHTML =
+                            '<style>p { color: rgb(255, 0, 0) }</style>' +
+                            '<h3><slot name="title">fallback title</slot></h3>' +
+                            '<p>shadow text <slot></slot></p>';
+                        domNode().appendChild(host);
+                        return domtoimage.toSvg(domNode());
+                    })
+                    .then(function (svg) {
+                        assert.match(svg, /<h3[^>]*><slot[^>]*><span[^>]*>slotted title<\/span><\/slot><\/h3>/);
+                        assert.match(svg, /<p[^>]*color: rgb\(255, 0, 0\)[^>]*>shadow text <slot[^>]*><b[^>]*>slotted body/);
+                        assert.notInclude(svg, 'fallback title');
+                        assert.notInclude(svg, 'p { color');
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should keep styles of markers, first letters and placeholders', function (done) {
+                loadTestPage('small/dom-node.html', 'small/style.css')
+                    .then(function () {
+                        $('#style').append(document.createTextNode(
+                            '#dom-node li::marker { color: rgb(255, 0, 0); }' +
+                            '#dom-node p::first-letter { font-size: 40px; float: left; }' +
+                            '#dom-node input::placeholder { color: rgb(0, 0, 255); }'));
+                        domNode().innerHTML = '<ul><li>item</li></ul><p>drop cap</p><input placeholder="empty">';
+                        return domtoimage.toSvg(domNode());
+                    })
+                    .then(function (svg) {
+                        assert.match(svg, /::marker\{[^}]*color: rgb\(255, 0, 0\);/);
+                        assert.match(svg, /::first-letter\{[^}]*font-size: 40px;[^}]*float: left;/);
+                        assert.match(svg, /::placeholder\{[^}]*color: rgb\(0, 0, 255\);/);
+                        assert.notMatch(svg, /::first-line\{/);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should not look up pseudo-elements no stylesheet is about', function (done) {
+                var getComputedStyle = window.getComputedStyle;
+                var looked = [];
+
+                loadTestPage('small/dom-node.html', 'small/style.css')
+                    .then(function () {
+                        domNode().innerHTML = '<ul><li>item</li></ul><p>paragraph</p>';
+                        window.getComputedStyle = function (element, pseudoElement) {
+                            if (pseudoElement) looked.push(pseudoElement);
+                            return getComputedStyle.apply(window, arguments);
+                        };
+                        return domtoimage.toSvg(domNode());
+                    })
+                    .then(function () {
+                        window.getComputedStyle = getComputedStyle;
+                        assert.deepEqual(looked.filter(function (pseudoElement) {
+                            return !/^:(before|after)$/.test(pseudoElement);
+                        }), []);
+                    })
+                    .then(done).catch(function (error) {
+                        window.getComputedStyle = getComputedStyle;
+                        done(error);
+                    });
+            });
+
+            it('should resolve counters, attributes and quotes of generated content', function (done) {
+                loadTestPage('small/dom-node.html', 'small/style.css')
+                    .then(function () {
+                        $('#style').append(document.createTextNode(
+                            '#dom-node { counter-reset: section; }' +
+                            '#dom-node h2::before { counter-increment: section; ' +
+                            'content: counter(section, upper-roman) ". " attr(data-label) " " open-quote; }' +
+                            '#dom-node h2::after { content: close-quote; }'));
+                        domNode().innerHTML = '<h2>one</h2><h2>two</h2><h2 data-label="Terms">three</h2>';
+                        return domtoimage.toSvg($('#dom-node h2')[2]);
+                    })
+                    .then(function (svg) {
+                        assert.include(svg, 'content: "III" ". " "Terms" " " "“"');
+                        assert.include(svg, 'content: "”"');
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should keep live state of form controls', function (done) {
+                loadTestPage('small/dom-node.html', 'small/style.css')
+                    .then(function () {
+                        domNode().innerHTML = '<input type="checkbox" id="on"><input type="checkbox" id="off" checked>' +
+                            '<input type="checkbox" id="mixed"><select><option selected>one</option>' +
+                            '<option id="two">two</option></select><textarea></textarea>' +
+                            '<details><summary>more</summary>details</details>';
+                        $('#on')[0].checked = true;
+                        $('#off')[0].checked = false;
+                        $('#mixed')[0].indeterminate = true;
+                        $('#two')[0].selected = true;
+                        $('#dom-node textarea')[0].value = '<b>typed</b>';
+                        $('#dom-node details')[0].open = true;
+                        return domtoimage.toSvg(domNode());
+                    })
+                    .then(function (svg) {
+                        assert.match(svg, /<input type="checkbox" id="on"[^>]* checked=""/);
+                        assert.notMatch(svg, /<input type="checkbox" id="off"[^>]* checked=""/);
+                        assert.match(svg, /<input type="checkbox" id="mixed"[^>]*appearance: none/);
+                        assert.match(svg, /<option[^>]*>one<\/option><option id="two"[^>]* selected=""/);
+                        assert.include(svg, '&lt;b&gt;typed&lt;/b&gt;</textarea>');
+                        assert.match(svg, /<details[^>]* open=""/);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should draw indeterminate checkbox with its own size, border and color', function (done) {
+                loadTestPage('small/dom-node.html', 'small/style.css')
+                    .then(function () {
+                        domNode().innerHTML = '<input type="checkbox" id="mixed" style="width: 20px; height: 20px; ' +
+                            'border: 3px solid rgb(0, 128, 0); color: rgb(255, 0, 0);">';
+                        $('#mixed')[0].indeterminate = true;
+                        return domtoimage.toSvg(domNode(), { compactStyles: true });
+                    })
+                    .then(function (svg) {
+                        var mixed = svg.match(/<input type="checkbox" id="mixed"[^>]*>/)[0];
+                        assert.include(mixed, 'width: 20px;');
+                        assert.include(mixed, 'height: 20px;');
+                        assert.match(mixed, /border(-top)?: 3px solid rgb\(0, 128, 0\);/);
+                        assert.include(mixed, 'background-color: rgb(255, 0, 0);');
+                        assert.notInclude(mixed, 'rgb(0, 117, 255)');
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should render inner scroll containers scrolled as on the page', function (done) {
+                var pane;
+                loadTestPage('small/dom-node.html', 'small/style.css')
+                    .then(function () {
+                        domNode().innerHTML = '<div id="pane" style="height: 20px; overflow: auto;">' +
+                            '<div style="height: 100px;">scrolled content</div></div>';
+                        pane = $('#pane')[0];
+                        pane.scrollTop = 30;
+                        return domtoimage.toSvg(domNode());
+                    })
+                    .then(function (svg) {
+                        assert.notInclude(svg, 'translate(');
+                        return domtoimage.toSvg(domNode(), { preserveScroll: true });
+                    })
+                    .then(function (svg) {
+                        assert.match(svg, /<div id="pane"[^>]*><div style="[^"]*transform: translate\(0px, -30px\);[^"]*">/);
+                        assert.equal(pane.scrollTop, 30);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should clone contents of same-origin frames', function (done) {
+                loadTestPage('small/dom-node.html', 'small/style.css')
+                    .then(function () {
+                        var iframe = document.createElement('iframe');
+                        iframe.style.cssText = 'width: 200px; height: 100px;';
+                        domNode().appendChild(iframe);
+
+                        var frameDocument = iframe.contentDocument;
+                        frameDocument.open();
+                        frameDocument.write('<html><head><style>h1 { color: rgb(0, 0, 255); }</style></head>' +
+                            '<body><h1>framed text</h1></body></html>');
+                        frameDocument.close();
+
+                        return domtoimage.toSvg(domNode());
+                    })
+                    .then(function (svg) {
+                        assert.notInclude(svg, '<iframe');
+                        assert.match(svg, /<div[^>]*overflow: hidden[^>]*><html[^>]*><body[^>]*><h1[^>]*color: rgb\(0, 0, 255\)[^>]*>framed text/);
+                        assert.notInclude(svg, 'h1 { color');
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should use placeholder for cross-origin frames', function (done) {
+                var placeholder = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAADElEQVR4nGP4z8AAAAMBAQDJ/pLvAAAAAElFTkSuQmCC';
+                var framed;
+
+                loadTestPage('small/dom-node.html', 'small/style.css')
+                    .then(function () {
+                        var iframe = document.createElement('iframe');
+                        // Sandboxed frames have an opaque origin, like cross-origin ones
+                        iframe.setAttribute('sandbox', '');
+                        domNode().appendChild(iframe);
+
+                        return domtoimage.toSvg(domNode(), {
+                            framePlaceholder: function (frame) {
+                                framed = frame;
+                                return placeholder;
+                            }
+                        });
+                    })
+                    .then(function (svg) {
+                        assert.equal(framed, $('iframe')[0]);
+                        assert.include(svg, 'src="' + placeholder + '"');
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should use placeholder for sandboxed frames without asking them', function (done) {
+                var placeholder = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAADElEQVR4nGP4z8AAAAMBAQDJ/pLvAAAAAElFTkSuQmCC';
+
+                loadTestPage('small/dom-node.html', 'small/style.css')
+                    .then(function () {
+                        var iframe = document.createElement('iframe');
+                        iframe.setAttribute('sandbox', 'allow-scripts');
+                        iframe.src = BASE_URL + 'small/dom-node.html';
+                        domNode().appendChild(iframe);
+
+                        return domtoimage.toSvg(domNode(), {
+                            crossOriginFrames: true,
+                            framePlaceholder: placeholder
+                        });
+                    })
+                    .then(function (svg) {
+                        assert.include(svg, 'src="' + placeholder + '"');
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should reject with ResourceError listing failed urls in strict mode', function (done) {
+                var missingUrl = BASE_URL + 'images/missing.png';
+
+                loadTestPage('small/dom-node.html', 'small/style.css')
+                    .then(function () {
+                        $('#dom-node').append('<img src="' + missingUrl + '">');
+                        return domtoimage.toSvg(domNode(), { strict: true });
+                    })
+                    .then(function () {
+                        done(new Error('rendering should have failed'));
+                    })
+                    .catch(function (error) {
+                        assert.instanceOf(error, domtoimage.ResourceError);
+                        assert.include(error.urls, global.location.origin + missingUrl);
+                        assert.equal(error.failures[0].kind, 'image');
+                        done();
+                    })
+                    .catch(done);
+            });
+
+            it('should report inlined and replaced resources', function (done) {
+                var placeholder = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAADElEQVR4nGP4z8AAAAMBAQDJ/pLvAAAAAElFTkSuQmCC';
+                var failed = [];
+                var report;
+
+                loadTestPage('images/dom-node.html', 'images/style.css')
+                    .then(function () {
+                        $('#dom-node').append('<img src="' + BASE_URL + 'images/missing.png">');
+                        return domtoimage.toSvg(domNode(), {
+                            strict: true,
+                            onResourceError: function (url, kind, reason) {
+                                failed.push({ url: url, kind: kind, reason: reason });
+                                return placeholder;
+                            },
+                            onResourceReport: function (value) {
+                                report = value;
+                            }
+                        });
+                    })
+                    .then(function (svg) {
+                        assert.include(svg, placeholder);
+                        assert.equal(failed.length, 1);
+                        assert.equal(failed[0].kind, 'image');
+                        assert.include(failed[0].reason, 'missing.png');
+
+                        assert.equal(report.inlined.length, 2);
+                        assert.equal(report.replaced.length, 1);
+                        assert.equal(report.skipped.length, 0);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should not log skipped resources reported otherwise', function (done) {
+                var error = console.error;
+                var logged = [];
+
+                loadTestPage('small/dom-node.html', 'small/style.css')
+                    .then(function () {
+                        $('#dom-node').append('<img src="' + BASE_URL + 'images/missing.png">');
+                        console.error = function (message) {
+                            logged.push(message);
+                        };
+                        return domtoimage.toSvg(domNode(), { onResourceReport: function () {} });
+                    })
+                    .then(function () {
+                        return domtoimage.toSvg(domNode(), { strict: true }).catch(function (error) {
+                            assert.equal(error.name, 'ResourceError');
+                        });
+                    })
+                    .then(function () {
+                        assert.deepEqual(logged, []);
+                        return domtoimage.toSvg(domNode());
+                    })
+                    .then(function () {
+                        console.error = error;
+                        assert.equal(logged.length, 1);
+                        assert.include(logged[0], 'missing.png');
+                    })
+                    .then(done).catch(function (failure) {
+                        console.error = error;
+                        done(failure);
+                    });
+            });
+
+            it('should inline source picked for responsive image, or the one fitting image scale', function (done) {
+                var reports = [];
+
+                loadTestPage('small/dom-node.html', 'small/style.css')
+                    .then(function () {
+                        domNode().innerHTML = '<picture><source srcset="' + BASE_URL + 'images/image.png 1x, ' +
+                            BASE_URL + 'images/image.jpeg 4x"><img src="' + BASE_URL + 'images/missing.png"></picture>';
+                        var image = $('#dom-node img')[0];
+                        return new Promise(function (resolve, reject) {
+                            if (image.complete) return resolve();
+                            image.onload = resolve;
+                            image.onerror = reject;
+                        });
+                    })
+                    .then(function () {
+                        return domtoimage.toSvg(domNode(), { onResourceReport: reports.push.bind(reports) });
+                    })
+                    .then(function (svg) {
+                        assert.notInclude(svg, '<source');
+                        assert.notInclude(svg, 'srcset');
+                        return domtoimage.toSvg(domNode(), {
+                            imageScale: 4,
+                            onResourceReport: reports.push.bind(reports)
+                        });
+                    })
+                    .then(function () {
+                        assert.include(reports[0].inlined[0].url, 'images/image.png');
+                        assert.include(reports[1].inlined[0].url, 'images/image.jpeg');
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should not start loading lazy images in offline mode', function (done) {
+                var lazy;
+                var hooked = false;
+
+                loadTestPage('small/dom-node.html', 'small/style.css')
+                    .then(function () {
+                        domNode().innerHTML = '<div style="margin-top: 10000px;">' +
+                            '<img id="lazy" loading="lazy" src="' + BASE_URL + 'images/image.png"></div>';
+                        lazy = $('#lazy')[0];
+                        return domtoimage.toSvg(domNode(), {
+                            offline: true,
+                            onLazyImage: function () {
+                                hooked = true;
+                            }
+                        });
+                    })
+                    .then(function () {
+                        assert.isFalse(hooked);
+                        assert.equal(lazy.getAttribute('loading'), 'lazy');
+                        assert.isFalse(lazy.complete && lazy.naturalWidth > 0);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should inline images of every css property and of pseudo-elements', function (done) {
+                var url = BASE_URL + 'images/image.png';
+
+                loadTestPage('small/dom-node.html', 'small/style.css')
+                    .then(function () {
+                        $('#style').append(document.createTextNode(
+                            '#dom-node i { -webkit-mask-image: url(' + url + '); mask-image: url(' + url + '); ' +
+                            'border: 4px solid; border-image-source: url(' + url + '); }' +
+                            '#dom-node li { list-style-image: url(' + url + '); }' +
+                            '#dom-node b::before { content: ""; background-image: url(' + url + '); }'));
+                        domNode().innerHTML = '<i>icon</i><ul><li>item</li></ul><b>bold</b>';
+                        return domtoimage.toSvg(domNode());
+                    })
+                    .then(function (svg) {
+                        assert.notInclude(svg, 'images/image.png');
+                        assert.match(svg, /<i[^>]*mask-image: url\("?data:image\/png;base64,/);
+                        assert.match(svg, /<i[^>]*border-image-source: url\("?data:image\/png;base64,/);
+                        assert.match(svg, /<li[^>]*list-style-image: url\("?data:image\/png;base64,/);
+                        assert.match(svg, /::?before\{[^}]*background-image: url\("?data:image\/png;base64,/);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should load lazy images before cloning', function (done) {
+                var lazy, custom;
+
+                loadTestPage('small/dom-node.html', 'small/style.css')
+                    .then(function () {
+                        domNode().innerHTML = '<div style="margin-top: 10000px;">' +
+                            '<img id="lazy" loading="lazy" src="' + BASE_URL + 'images/image.png">' +
+                            '<img id="custom" data-src="' + BASE_URL + 'images/image.jpeg"></div>';
+                        lazy = $('#lazy')[0];
+                        custom = $('#custom')[0];
+                        return domtoimage.toSvg(domNode(), {
+                            onLazyImage: function (image) {
+                                if (image.dataset.src) image.src = image.dataset.src;
+                            }
+                        });
+                    })
+                    .then(function (svg) {
+                        assert.isTrue(lazy.complete && lazy.naturalWidth > 0);
+                        assert.equal(lazy.getAttribute('loading'), 'lazy');
+                        assert.isTrue(custom.complete && custom.naturalWidth > 0);
+                        assert.match(svg, /<img id="lazy" src="data:image\/png;base64,/);
+                        assert.notInclude(svg, 'loading=');
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should render offline with resources from resource map', function (done) {
+                var png = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAADElEQVR4nGP4z8AAAAMBAQDJ/pLvAAAAAElFTkSuQmCC';
+                var jpeg = 'data:image/jpeg;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAADElEQVR4nGP4z8AAAAMBAQDJ/pLvAAAAAElFTkSuQmCC';
+
+                loadTestPage('images/dom-node.html', 'images/style.css')
+                    .then(function () {
+                        return domtoimage.toSvg(domNode(), {
+                            offline: true,
+                            strict: true,
+                            resources: {
+                                '/base/spec/resources/images/image.png': png,
+                                '**/*.jpeg': jpeg
+                            }
+                        });
+                    })
+                    .then(function (svg) {
+                        assert.include(svg, png);
+                        assert.include(svg, jpeg);
+                    })
+                    .then(done).catch(done);
+            });
+
+            function compareToControlImage(image, tolerance) {
+                assert.isTrue(imagediff.equal(image, controlImage(), tolerance), 'rendered and control images should be same');
+            }
+
+            function renderAndCheck() {
+                return Promise.resolve()
+                    .then(renderToPng)
+                    .then(check);
+            }
+
+            function check(dataUrl) {
+                return Promise.resolve(dataUrl)
+                    .then(drawDataUrl)
+                    .then(compareToControlImage);
+            }
+
+            function drawDataUrl(dataUrl, dimensions) {
+                return Promise.resolve(dataUrl)
+                    .then(makeImgElement)
+                    .then(function (image) {
+                        return drawImgElement(image, null, dimensions);
+                    });
+            }
+
+            function assertTextRendered(lines) {
+                return function () {
+                    return new Promise(function (resolve, reject) {
+                        Tesseract.recognize(canvas())
+                            .then(function(result) {
+                                lines.forEach(function(line) {
+                                    try {
+                                        assert.include(result.text, line);
+                                    } catch(e) {
+                                        reject(e);
+                                    }
+                                });
+                                resolve();
+                            });
+                    });
+                };
+            }
+
+            function makeImgElement(src) {
+                return new Promise(function (resolve) {
+                    var image = new Image();
+                    image.onload = function () {
+                        resolve(image);
+                    };
+                    image.src = src;
+                });
+            }
+
+            function drawImgElement(image, node, dimensions) {
+                node = node || domNode();
+                dimensions = dimensions || {};
+                canvas().height = dimensions.height || node.offsetHeight.toString();
+                canvas().width = dimensions.width || node.offsetWidth.toString();
+                canvas().getContext('2d').imageSmoothingEnabled = false;
+                canvas().getContext('2d').drawImage(image, 0, 0);
+                return image;
+            }
+
+            function renderToPng(node) {
+                return domtoimage.toPng(node || domNode());
+            }
+        });
+
+        describe('inliner', function () {
+
+            var NO_BASE_URL = null;
+
+            it('should parse urls', function () {
+                var parse = domtoimage.impl.inliner.impl.readUrls;
+
+                assert.deepEqual(parse('url("http://acme.com/file")'), ['http://acme.com/file']);
+                assert.deepEqual(parse('url(foo.com), url(\'bar.org\')'), ['foo.com', 'bar.org']);
+            });
+
+            it('should ignore data urls', function () {
+                var parse = domtoimage.impl.inliner.impl.readUrls;
+
+                assert.deepEqual(parse('url(foo.com), url(data:AAA)'), ['foo.com']);
+            });
+
+            it('should inline url', function (done) {
+                var inline = domtoimage.impl.inliner.impl.inline;
+
                 inline('url(http://acme.com/image.png), url(foo.com)', 'http://acme.com/image.png',
                         NO_BASE_URL,
                         function () {
@@ -515,13 +1344,345 @@
 
             it('should return placeholder result if cannot get resource and placeholder is provided', function (done) {
                 var placeholder = "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAAAXNSR0IArs4c6QAAAARnQU1BAACxjwv8YQUAAAAJcEhZcwAADsMAAA7DAcdvqGQAAAAMSURBVBhXY7h79y4ABTICmGnXPbMAAAAASUVORK5CYII=";
-                var original = domtoimage.impl.options.imagePlaceholder;
-                domtoimage.impl.options.imagePlaceholder = placeholder;
-                domtoimage.impl.util.getAndEncode(BASE_URL + 'util/not-found')
+                domtoimage.impl.util.getAndEncode(BASE_URL + 'util/not-found', { imagePlaceholder: placeholder })
                     .then(function (resource) {
                         var placeholderData = placeholder.split(/,/)[1];
                         assert.equal(resource, placeholderData);
-                        domtoimage.impl.options.imagePlaceholder = original;
+                    }).then(done).catch(done);
+            });
+
+            it('should use replacement returned from onResourceError', function (done) {
+                var failure;
+                domtoimage.impl.util.getAndEncode(BASE_URL + 'util/not-found', {
+                        onResourceError: function (url, kind, reason) {
+                            failure = { url: url, kind: kind, reason: reason };
+                            return Promise.resolve('data:font/woff2;base64,AAA');
+                        }
+                    }, 'font')
+                    .then(function (resource) {
+                        assert.equal(resource, 'AAA');
+                        assert.equal(failure.url, BASE_URL + 'util/not-found');
+                        assert.equal(failure.kind, 'font');
+                        assert.include(failure.reason, 'status: 404');
+                    }).then(done).catch(done);
+            });
+
+            it('should get resource through custom fetch with headers and credentials', function (done) {
+                var requests = [];
+                getResource('util/fontawesome.base64')
+                    .then(function (testResource) {
+                        return domtoimage.impl.util.getAndEncode('http://cdn.acme.com/fontawesome.woff2', {
+                                headers: { 'X-Token': 'secret' },
+                                credentials: 'include',
+                                rewriteUrl: function (url, kind) {
+                                    assert.equal(kind, 'font');
+                                    return url.replace('http://cdn.acme.com/', BASE_URL + 'util/');
+                                },
+                                fetch: function (url, init) {
+                                    requests.push({ url: url, init: init });
+                                    return global.fetch(url, init);
+                                }
+                            }, 'font')
+                            .then(function (resource) {
+                                assert.equal(resource, testResource);
+                                assert.equal(requests.length, 1);
+                                assert.equal(requests[0].url, BASE_URL + 'util/fontawesome.woff2');
+                                assert.equal(requests[0].init.headers['X-Token'], 'secret');
+                                assert.equal(requests[0].init.credentials, 'include');
+                            });
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should fetch with window.fetch when credentials are omitted', function (done) {
+                var fetch = global.fetch;
+                var requests = [];
+
+                global.fetch = function (url, init) {
+                    requests.push(init);
+                    return Promise.resolve(new global.Response(new global.Blob(['AAA'])));
+                };
+
+                domtoimage.impl.util.getAndEncode(BASE_URL + 'util/fontawesome.woff2', {
+                        credentials: 'omit',
+                        cache: false
+                    })
+                    .then(function (resource) {
+                        global.fetch = fetch;
+                        assert.equal(resource, 'QUFB');
+                        assert.equal(requests.length, 1);
+                        assert.equal(requests[0].credentials, 'omit');
+                    })
+                    .then(done).catch(function (error) {
+                        global.fetch = fetch;
+                        done(error);
+                    });
+            });
+
+            it('should fetch cross-origin resources through cors proxy', function (done) {
+                var requested = [];
+                var context = {
+                    corsProxy: '/proxy?url={url}',
+                    fetch: function (url) {
+                        requested.push(url);
+                        return Promise.resolve(new global.Response(new global.Blob(['AAA'])));
+                    }
+                };
+
+                Promise.all([
+                        domtoimage.impl.util.getAndEncode('http://tiles.acme.com/1/2/3.png', context),
+                        domtoimage.impl.util.getAndEncode(BASE_URL + 'images/image.png', context)
+                    ])
+                    .then(function () {
+                        assert.deepEqual(requested, [
+                            '/proxy?url=' + encodeURIComponent('http://tiles.acme.com/1/2/3.png'),
+                            BASE_URL + 'images/image.png'
+                        ]);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should take resources from resource map without fetching', function (done) {
+                var requests = 0;
+                var context = {
+                    resources: {
+                        'http://acme.com/image.png': 'data:image/png;base64,AAA',
+                        'http://fonts.acme.com/**/*.woff': new global.Blob(['BBB']),
+                        'http://tiles.acme.com/*/tile.png': new global.Uint8Array([67, 67, 67]).buffer,
+                        '/base/spec/resources/images/image.svg': 'data:image/svg+xml;charset=utf-8,%3Csvg%2F%3E'
+                    },
+                    fetch: function () {
+                        requests++;
+                        return Promise.reject(new Error('should not fetch'));
+                    }
+                };
+                var getAndEncode = domtoimage.impl.util.getAndEncode;
+
+                Promise.all([
+                        getAndEncode('http://acme.com/image.png', context),
+                        getAndEncode('http://fonts.acme.com/v1/latin/font.woff', context),
+                        getAndEncode('http://tiles.acme.com/12/tile.png', context),
+                        getAndEncode(global.location.origin + BASE_URL + 'images/image.svg', context)
+                    ])
+                    .then(function (resources) {
+                        assert.deepEqual(resources, ['AAA', 'QkJC', 'Q0ND', global.btoa('<svg/>')]);
+                        assert.equal(requests, 0);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should not fetch resources in offline mode', function (done) {
+                var requests = 0;
+                var reason;
+                domtoimage.impl.util.getAndEncode('http://tiles.acme.com/12/3/tile.png', {
+                        offline: true,
+                        resources: {
+                            'http://tiles.acme.com/*/tile.png': 'data:image/png;base64,AAA'
+                        },
+                        fetch: function () {
+                            requests++;
+                            return Promise.reject(new Error('should not fetch'));
+                        },
+                        onResourceError: function (url, kind, message) {
+                            reason = message;
+                        }
+                    })
+                    .then(function (resource) {
+                        assert.equal(resource, '');
+                        assert.equal(requests, 0);
+                        assert.include(reason, 'offline');
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should return empty result if built-in fetch cannot get resource', function (done) {
+                domtoimage.impl.util.getAndEncode(BASE_URL + 'util/not-found', { fetch: true })
+                    .then(function (resource) {
+                        assert.equal(resource, '');
+                    }).then(done).catch(done);
+            });
+
+            it('should give up on resource after configured timeout', function (done) {
+                var reason;
+                domtoimage.impl.util.getAndEncode(BASE_URL + 'util/fontawesome.woff2', {
+                        timeout: 50,
+                        fetch: function () {
+                            return new Promise(function () {});
+                        },
+                        onResourceError: function (url, kind, message) {
+                            reason = message;
+                        }
+                    })
+                    .then(function (resource) {
+                        assert.equal(resource, '');
+                        assert.include(reason, 'timeout of 50ms');
+                    }).then(done).catch(done);
+            });
+
+            it('should use placeholder of its own context when fetching concurrently', function (done) {
+                var getAndEncode = domtoimage.impl.util.getAndEncode;
+                Promise.all([
+                        getAndEncode(BASE_URL + 'util/not-found', { imagePlaceholder: 'data:image/png;base64,AAA' }),
+                        getAndEncode(BASE_URL + 'util/not-found', { imagePlaceholder: 'data:image/png;base64,BBB' })
+                    ])
+                    .then(function (resources) {
+                        assert.deepEqual(resources, ['AAA', 'BBB']);
+                    }).then(done).catch(done);
+            });
+
+            it('should cancel request and reject with AbortError when aborted', function (done) {
+                var controller = new global.AbortController();
+                var send = XMLHttpRequest.prototype.send;
+                var request;
+
+                XMLHttpRequest.prototype.send = function () {
+                    request = this;
+                    send.apply(this, arguments);
+                    XMLHttpRequest.prototype.send = send;
+                    controller.abort();
+                };
+
+                domtoimage.impl.util.getAndEncode(BASE_URL + 'util/fontawesome.woff2', {
+                        signal: controller.signal,
+                        cache: false
+                    })
+                    .then(function () {
+                        done(new Error('request should have been aborted'));
+                    })
+                    .catch(function (error) {
+                        XMLHttpRequest.prototype.send = send;
+                        assert.equal(error.name, 'AbortError');
+                        assert.equal(request.readyState, XMLHttpRequest.UNSENT);
+                        done();
+                    })
+                    .catch(done);
+            });
+
+            it('should cancel fetch and reject with AbortError when aborted', function (done) {
+                var controller = new global.AbortController();
+                var requestSignal;
+
+                domtoimage.impl.util.getAndEncode(BASE_URL + 'util/fontawesome.woff2', {
+                        signal: controller.signal,
+                        cache: false,
+                        fetch: function (url, init) {
+                            requestSignal = init.signal;
+                            setTimeout(function () {
+                                controller.abort();
+                            });
+                            return new Promise(function () {});
+                        }
+                    })
+                    .then(function () {
+                        done(new Error('request should have been aborted'));
+                    })
+                    .catch(function (error) {
+                        assert.equal(error.name, 'AbortError');
+                        assert.isTrue(requestSignal.aborted);
+                        done();
+                    })
+                    .catch(done);
+            });
+
+            it('should not send request when aborted while rewriting url', function (done) {
+                var send = XMLHttpRequest.prototype.send;
+                var requests = 0;
+
+                XMLHttpRequest.prototype.send = function () {
+                    requests++;
+                    return send.apply(this, arguments);
+                };
+
+                Promise.all([false, true].map(function (viaFetch) {
+                        var controller = new global.AbortController();
+                        return domtoimage.impl.util.getAndEncode(BASE_URL + 'util/fontawesome.woff2', {
+                                signal: controller.signal,
+                                cache: false,
+                                rewriteUrl: function (url) {
+                                    controller.abort();
+                                    return url;
+                                },
+                                fetch: viaFetch && function () {
+                                    requests++;
+                                    return Promise.resolve(new global.Response(new global.Blob(['AAA'])));
+                                }
+                            })
+                            .then(function () {
+                                throw new Error('request should have been aborted');
+                            }, function (error) {
+                                assert.equal(error.name, 'AbortError');
+                            });
+                    }))
+                    .then(function () {
+                        XMLHttpRequest.prototype.send = send;
+                        assert.equal(requests, 0);
+                    })
+                    .then(done).catch(function (error) {
+                        XMLHttpRequest.prototype.send = send;
+                        done(error);
+                    });
+            });
+
+            it('should take content type of resource from response header', function (done) {
+                domtoimage.impl.util.getDataUrl('http://acme.com/avatar?size=64', {
+                        fetch: function () {
+                            return Promise.resolve(new global.Response(new global.Blob(['AAA']), {
+                                headers: { 'Content-Type': 'image/webp; charset=binary' }
+                            }));
+                        }
+                    })
+                    .then(function (dataUrl) {
+                        assert.equal(dataUrl, 'data:image/webp;base64,QUFB');
+                    }).then(done).catch(done);
+            });
+
+            it('should recognize content type of resource from magic bytes', function (done) {
+                var png = new global.Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+                domtoimage.impl.util.getDataUrl('http://acme.com/image.jpg', {
+                        fetch: function () {
+                            return Promise.resolve(new global.Response(new global.Blob([png])));
+                        }
+                    })
+                    .then(function (dataUrl) {
+                        assert.equal(dataUrl.split(/,/)[0], 'data:image/png;base64');
+                    }).then(done).catch(done);
+            });
+
+            it('should sniff mime types', function () {
+                var sniff = function (text) {
+                    return domtoimage.impl.util.sniffMimeType(text.split('').map(function (char) {
+                        return char.charCodeAt(0);
+                    }));
+                };
+
+                assert.equal(sniff('\xFF\xD8\xFF\xE0'), 'image/jpeg');
+                assert.equal(sniff('GIF89a'), 'image/gif');
+                assert.equal(sniff('RIFF\x10\x00\x00\x00WEBPVP8 '), 'image/webp');
+                assert.equal(sniff('\x00\x00\x00\x1cftypavif'), 'image/avif');
+                assert.equal(sniff('wOF2\x00\x01'), 'font/woff2');
+                assert.equal(sniff('<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg">'), 'image/svg+xml');
+                assert.equal(sniff('plain text'), '');
+            });
+
+            it('should run tasks with limited concurrency and keep their order', function (done) {
+                var running = 0;
+                var mostRunning = 0;
+                var tasks = [30, 10, 20, 0, 10].map(function (time, index) {
+                    return function () {
+                        running++;
+                        mostRunning = Math.max(mostRunning, running);
+                        return delay(time)()
+                            .then(function () {
+                                running--;
+                                return index;
+                            });
+                    };
+                });
+
+                domtoimage.impl.util.runAll(tasks, 2)
+                    .then(function (results) {
+                        assert.deepEqual(results, [0, 1, 2, 3, 4]);
+                        assert.equal(mostRunning, 2);
                     }).then(done).catch(done);
             });
 
@@ -539,6 +1700,7 @@
 
                 assert.equal(mime('http://acme.com/font.woff'), 'application/font-woff');
                 assert.equal(mime('IMAGE.PNG'), 'image/png');
+                assert.equal(mime('http://acme.com/font.woff2?v=4.7.0#iefix'), 'font/woff2');
                 assert.equal(mime('http://acme.com/image'), '');
             });
 
@@ -580,6 +1742,24 @@
                     .then(done).catch(done);
             });
 
+            it('should read font faces of constructed stylesheets', function (done) {
+                var sheet = new global.CSSStyleSheet();
+                sheet.replaceSync('@font-face { font-family: Adopted; src: url("http://fonts.com/adopted.woff2"); }');
+
+                loadTestPage('fonts/web-fonts/empty.html')
+                    .then(function () {
+                        var shadowRoot = domNode().attachShadow({ mode: 'open' });
+                        shadowRoot.adoptedStyleSheets = [sheet];
+                        return fontFaces.impl.readAll([shadowRoot]);
+                    })
+                    .then(function (webFonts) {
+                        assertSomeIncludesAll(webFonts.map(function (webFont) {
+                            return webFont.src();
+                        }), ['http://fonts.com/adopted.woff2']);
+                    })
+                    .then(done).catch(done);
+            });
+
             function assertSomeIncludesAll(haystacks, needles) {
                 assert(
                     haystacks.some(function (haystack) {
@@ -610,6 +1790,309 @@
             });
         });
 
+        describe('frames', function () {
+
+            it('should get frame image from companion script', function (done) {
+                var iframe = document.createElement('iframe');
+
+                loadTestPage('small/dom-node.html', 'small/style.css')
+                    .then(function () {
+                        return new Promise(function (resolve) {
+                            iframe.onload = resolve;
+                            iframe.style.cssText = 'width: 120px; height: 80px;';
+                            iframe.srcdoc = '<body><p>framed text</p>' +
+                                '<script src="/base/src/dom-to-image.js"></script>' +
+                                '<script src="/base/src/dom-to-image-frame.js" data-origins="' + location.origin + '"></script>' +
+                                '</body>';
+                            domNode().appendChild(iframe);
+                        });
+                    })
+                    .then(function () {
+                        return domtoimage.impl.frames.requestImage(iframe, { timeout: 5000 });
+                    })
+                    .then(domtoimage.impl.util.makeImage)
+                    .then(function (image) {
+                        assert.equal(image.naturalWidth, 120);
+                        assert.equal(image.naturalHeight, 80);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should not serve parent of opaque origin unless listed', function (done) {
+                var requests = [];
+                var stop = global.domtoimageFrame.serve({
+                    origins: ['*'],
+                    domtoimage: {
+                        toPng: function () {
+                            requests.push('png');
+                            return Promise.resolve('data:image/png;base64,AAA');
+                        }
+                    }
+                });
+
+                window.dispatchEvent(new global.MessageEvent('message', {
+                    data: { type: 'dom-to-image:render', id: 1, width: 10, height: 10 },
+                    origin: 'null',
+                    source: window.parent
+                }));
+
+                delay(10)()
+                    .then(function () {
+                        stop();
+                        assert.deepEqual(requests, []);
+                    })
+                    .then(done).catch(function (error) {
+                        stop();
+                        done(error);
+                    });
+            });
+
+            it('should give up on frame that does not answer', function (done) {
+                var iframe = document.createElement('iframe');
+
+                loadTestPage('small/dom-node.html', 'small/style.css')
+                    .then(function () {
+                        iframe.src = BASE_URL + 'small/dom-node.html';
+                        domNode().appendChild(iframe);
+                        return domtoimage.impl.frames.requestImage(iframe, { timeout: 50 });
+                    })
+                    .then(function () {
+                        done(new Error('frame should not have answered'));
+                    })
+                    .catch(function (error) {
+                        assert.include(error.message, 'did not answer in 50ms');
+                        done();
+                    })
+                    .catch(done);
+            });
+
+            it('should not ask frame without origin to address', function (done) {
+                var iframe = document.createElement('iframe');
+
+                loadTestPage('small/dom-node.html', 'small/style.css')
+                    .then(function () {
+                        domNode().appendChild(iframe);
+                        return domtoimage.impl.frames.requestImage(iframe, { timeout: 5000 });
+                    })
+                    .then(function () {
+                        done(new Error('frame should not have been asked'));
+                    })
+                    .catch(function (error) {
+                        assert.include(error.message, 'frame has no origin to ask');
+                        done();
+                    })
+                    .catch(done);
+            });
+
+            it('should reject frame answer that is not an image data url', function (done) {
+                var iframe = document.createElement('iframe');
+
+                loadTestPage('small/dom-node.html', 'small/style.css')
+                    .then(function () {
+                        return new Promise(function (resolve) {
+                            iframe.onload = resolve;
+                            iframe.srcdoc = '<script>' +
+                                'addEventListener("message", function (event) {' +
+                                '    event.source.postMessage({ type: "dom-to-image:rendered", id: event.data.id,' +
+                                '        dataUrl: "' + location.origin + BASE_URL + 'images/image.png" }, event.origin);' +
+                                '});' +
+                                '</script>';
+                            domNode().appendChild(iframe);
+                        });
+                    })
+                    .then(function () {
+                        return domtoimage.impl.frames.requestImage(iframe, { timeout: 5000 });
+                    })
+                    .then(function () {
+                        done(new Error('frame answer should have been rejected'));
+                    })
+                    .catch(function (error) {
+                        assert.include(error.message, 'did not answer with an image');
+                        done();
+                    })
+                    .catch(done);
+            });
+        });
+
+        describe('cache', function () {
+            var getAndEncode = domtoimage.impl.util.getAndEncode;
+            var cache = domtoimage.impl.cache;
+
+            afterEach(function () {
+                domtoimage.setCacheSize();
+                return domtoimage.clearPersistentCache();
+            });
+
+            function countingContext(options) {
+                var context = {
+                    requests: 0,
+                    fetch: function () {
+                        context.requests++;
+                        return Promise.resolve(new global.Response(new global.Blob(['AAA'])));
+                    }
+                };
+                Object.keys(options || {}).forEach(function (name) {
+                    context[name] = options[name];
+                });
+                return context;
+            }
+
+            it('should fetch resource once for subsequent renders', function (done) {
+                var context = countingContext();
+
+                getAndEncode('http://acme.com/font.woff', context)
+                    .then(function () {
+                        return getAndEncode('http://acme.com/font.woff', context);
+                    })
+                    .then(function (resource) {
+                        assert.equal(resource, 'QUFB');
+                        assert.equal(context.requests, 1);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should share downloads between concurrent renders', function (done) {
+                var context = countingContext();
+
+                Promise.all([
+                        getAndEncode('http://acme.com/font.woff', context),
+                        getAndEncode('http://acme.com/font.woff', context)
+                    ])
+                    .then(function (resources) {
+                        assert.deepEqual(resources, ['QUFB', 'QUFB']);
+                        assert.equal(context.requests, 1);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should not share downloads between renders fetching differently', function (done) {
+                var context = countingContext();
+                var failing = countingContext({
+                    fetch: function () {
+                        return Promise.reject(new Error('proxy is down'));
+                    }
+                });
+                var offline = countingContext({ offline: true, fetch: context.fetch });
+
+                Promise.all([
+                        getAndEncode('http://acme.com/font.woff', failing),
+                        getAndEncode('http://acme.com/font.woff', offline),
+                        getAndEncode('http://acme.com/font.woff', context)
+                    ])
+                    .then(function (resources) {
+                        assert.deepEqual(resources, ['', '', 'QUFB']);
+                        assert.equal(context.requests, 1);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should retry on its own when shared download fails', function (done) {
+                var requests = 0;
+                var flaky = function () {
+                    requests++;
+                    if (requests === 1) return Promise.reject(new Error('connection reset'));
+                    return Promise.resolve(new global.Response(new global.Blob(['AAA'])));
+                };
+
+                Promise.all([
+                        getAndEncode('http://acme.com/font.woff', countingContext({ fetch: flaky })),
+                        getAndEncode('http://acme.com/font.woff', countingContext({ fetch: flaky }))
+                    ])
+                    .then(function (resources) {
+                        assert.deepEqual(resources, ['', 'QUFB']);
+                        assert.equal(requests, 2);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should fetch again after cache is cleared', function (done) {
+                var context = countingContext();
+
+                getAndEncode('http://acme.com/font.woff', context)
+                    .then(function () {
+                        domtoimage.clearCache();
+                        return getAndEncode('http://acme.com/font.woff', context);
+                    })
+                    .then(function () {
+                        assert.equal(context.requests, 2);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should bypass cache when busting cache or when disabled', function (done) {
+                var busting = countingContext({ cacheBust: true });
+                var disabled = countingContext({ cache: false });
+
+                getAndEncode('http://acme.com/font.woff', countingContext())
+                    .then(function () {
+                        return Promise.all([
+                            getAndEncode('http://acme.com/font.woff', busting),
+                            getAndEncode('http://acme.com/font.woff', disabled)
+                        ]);
+                    })
+                    .then(function () {
+                        assert.equal(busting.requests, 1);
+                        assert.equal(disabled.requests, 1);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should not cache failed resources', function (done) {
+                getAndEncode(BASE_URL + 'util/not-found')
+                    .then(function () {
+                        assert.isFalse(cache.has(BASE_URL + 'util/not-found'));
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should keep resources in persistent cache across memory cache clears', function (done) {
+                var context = countingContext({ persistentCache: true });
+
+                getAndEncode('http://acme.com/font.woff', context)
+                    .then(delay(50))
+                    .then(function () {
+                        domtoimage.clearCache();
+                        return getAndEncode('http://acme.com/font.woff', context);
+                    })
+                    .then(function (resource) {
+                        assert.equal(resource, 'QUFB');
+                        assert.equal(context.requests, 1);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should fetch again when persistent cache entry expired', function (done) {
+                var context = countingContext({ persistentCache: { ttl: 1 } });
+
+                getAndEncode('http://acme.com/font.woff', context)
+                    .then(delay(50))
+                    .then(function () {
+                        domtoimage.clearCache();
+                        return getAndEncode('http://acme.com/font.woff', context);
+                    })
+                    .then(function () {
+                        assert.equal(context.requests, 2);
+                    })
+                    .then(done).catch(done);
+            });
+
+            it('should evict least recently used entries over size budget', function () {
+                domtoimage.setCacheSize(6);
+
+                cache.set('a', 'AA');
+                cache.set('b', 'BB');
+                cache.set('c', 'CC');
+                cache.get('a');
+                cache.set('d', 'DD');
+
+                assert.isTrue(cache.has('a'));
+                assert.isFalse(cache.has('b'));
+                assert.isTrue(cache.has('c'));
+                assert.isTrue(cache.has('d'));
+                assert.equal(cache.size(), 6);
+            });
+        });
+
         function loadTestPage(html, css, controlImage) {
             return loadPage()
                 .then(function () {
@@ -0,0 +1,96 @@
+(function (global) {
+    'use strict';
+
+    var REQUEST = 'dom-to-image:render';
+    var RESPONSE = 'dom-to-image:rendered';
+
+    var domtoimageFrame = {
+        serve: serve
+    };
+
+    if (typeof module !== 'undefined')
+        module.exports = domtoimageFrame;
+    else
+        global.domtoimageFrame = domtoimageFrame;
+
+    autoServe();
+
+    /**
+     * Lets the parent page render this frame with dom-to-image, even when it's cross-origin.
+     * @param {Object} options
+     * @param {Array} options.origins - origins of parent pages allowed to render the frame, ['*'] for any,
+     *          opaque origins (sandboxed parents) must be listed as 'null' explicitly
+     * @param {Object} options.domtoimage - the library to render with, defaults to the global domtoimage
+     * @param {Function} options.node - returns the node to render, defaults to the document element
+     * @param {Object} options.renderOptions - rendering options, width and height are those of the frame viewport
+     * @return {Function} - stops serving the parent
+     * */
+    function serve(options) {
+        var origins = options.origins || [];
+
+        global.addEventListener('message', onMessage);
+        return function () {
+            global.removeEventListener('message', onMessage);
+        };
+
+        function onMessage(event) {
+            var data = event.data;
+            if (event.source !== global.parent || !data || data.type !== REQUEST) return;
+            if (!allowed(event.origin)) return;
+
+            render(data)
+                .then(function (dataUrl) {
+                    respond({ dataUrl: dataUrl });
+                }, function (error) {
+                    respond({ error: String(error && error.message || error) });
+                });
+
+            function respond(result) {
+                result.type = RESPONSE;
+                result.id = data.id;
+                // An opaque origin can't be targeted, the message only goes to the parent window it came from anyway
+                try {
+                    event.source.postMessage(result, event.origin === 'null' ? '*' : event.origin);
+                } catch (e) {
+                    console.error('cannot answer render request: ' + (e && e.message || e));
+                }
+            }
+        }
+
+        function allowed(origin) {
+            if (origin === 'null') return origins.indexOf('null') !== -1;
+            return origins.indexOf('*') !== -1 || origins.indexOf(origin) !== -1;
+        }
+
+        function render(request) {
+            var domtoimage = options.domtoimage || global.domtoimage;
+            var node = options.node ? options.node() : document.documentElement;
+
+            var renderOptions = {};
+            Object.keys(options.renderOptions || {}).forEach(function (name) {
+                renderOptions[name] = options.renderOptions[name];
+            });
+            renderOptions.width = request.width;
+            renderOptions.height = request.height;
+
+            return Promise.resolve()
+                .then(function () {
+                    return request.format === 'svg' ?
+                        domtoimage.toSvg(node, renderOptions) :
+                        domtoimage.toPng(node, renderOptions);
+                });
+        }
+    }
+
+    /**
+     * <script src="dom-to-image-frame.js" data-origins="https://shell.example.com"></script>
+     * starts serving the listed (space separated) origins right away.
+     * */
+    function autoServe() {
+        var script = typeof document !== 'undefined' && document.currentScript;
+        var origins = script && script.getAttribute('data-origins');
+        if (!origins) return;
+
+        serve({ origins: origins.split(/\s+/) });
+    }
+})(this);
@@ -5,13 +5,39 @@
     var inliner = newInliner();
     var fontFaces = newFontFaces();
     var images = newImages();
+    var frames = newFrames();
+    var canvases = newCanvases();
+    var pseudoElements = newPseudoElements();
+    var generatedContent = newGeneratedContent();
+    var cache = newCache();
+    var persistentCache = newPersistentCache();
 
     // Default impl options
     var defaultOptions = {
-        // Default is to fail on error, no placeholder
+        // Default is no placeholder, failed resources are left out
         imagePlaceholder: undefined,
         // Default cache bust is false, it will use the cache
-        cacheBust: false
+        cacheBust: false,
+        // Default is to reuse resources fetched by previous renders
+        cache: true,
+        // Default is to leave resources that can't be fetched out and go on
+        strict: false,
+        // Default is to give up on a resource after 30 seconds
+        timeout: 30000,
+        // Default is to run at most 6 canvas snapshots or resource fetches at once
+        concurrency: 6,
+        // Default is to leave cross-origin frames blank, or to their placeholder
+        crossOriginFrames: false,
+        // Default is to copy the whole computed style of every element
+        compactStyles: false,
+        // Default is to leave styles inline on every element
+        shareStyles: false,
+        // Default is to render scroll containers within the node scrolled to the top
+        preserveScroll: false,
+        // Default is to inline the sources browser picked for responsive images on the page
+        imageScale: undefined,
+        // Default is to make lazy images load, and to wait for images to be decoded, before cloning the node
+        loadImages: true
     };
 
     var domtoimage = {
@@ -20,12 +46,23 @@
         toJpeg: toJpeg,
         toBlob: toBlob,
         toPixelData: toPixelData,
+        ResourceError: ResourceError,
+        clearCache: cache.clear,
+        setCacheSize: cache.resize,
+        clearPersistentCache: persistentCache.clear,
+        registerCanvas: canvases.register,
+        unregisterCanvas: canvases.unregister,
         impl: {
             fontFaces: fontFaces,
             images: images,
+            frames: frames,
+            canvases: canvases,
+            pseudoElements: pseudoElements,
+            generatedContent: generatedContent,
             util: util,
             inliner: inliner,
-            options: {}
+            cache: cache,
+            persistentCache: persistentCache
         }
     };
 
@@ -46,24 +83,86 @@
      * @param {Object} options.style - an object whose properties to be copied to node's style before rendering.
      * @param {Number} options.quality - a Number between 0 and 1 indicating image quality (applicable to JPEG only),
                 defaults to 1.0.
-     * @param {String} options.imagePlaceholder - dataURL to use as a placeholder for failed images, default behaviour is to fail fast on images we can't fetch
+     * @param {String} options.imagePlaceholder - dataURL to use as a placeholder for failed images (and for videos with
+     *          no frame to read nor poster), default behaviour is to fail fast on images we can't fetch
+     * @param {Boolean} options.compactStyles - set to true to only copy style properties that differ from the defaults
+     *          of the element (or from what it inherits), for a much smaller SVG
+     * @param {Boolean} options.shareStyles - set to true to move styles of elements into one stylesheet,
+     *          elements with identical styles then share a single rule
+     * @param {Boolean} options.loadImages - set to false to clone the node right away, instead of switching its lazy
+     *          images to eager loading (for the time of the render) and waiting for all of its images to be decoded
+     *          first, which offline renders only do for images that have started loading already
+     * @param {Function} options.onLazyImage - called with every image of the node before waiting for it, to start
+     *          loading images lazy loaded by the page itself (copying data-src to src, say), can return a promise
+     * @param {Number} options.imageScale - scale the output is meant to be shown at (2 for high-DPI exports),
+     *          to inline the srcset candidates of images that fit it best rather than those picked for the page
+     * @param {Boolean} options.preserveScroll - set to true to render scroll containers within the node scrolled
+     *          as they are on the page (the node itself is always rendered whole)
+     * @param {String|Function} options.framePlaceholder - data URL of an image to show in place of cross-origin frames,
+     *          or a function called with the iframe returning (a promise of) such data URL or of a node
+     * @param {Boolean|String} options.crossOriginFrames - set to true (or to 'svg') to ask cross-origin frames running
+     *          dom-to-image-frame.js to render themselves to PNG (or SVG)
      * @param {Boolean} options.cacheBust - set to true to cache bust by appending the time to the request url
+     *          (resources cached by previous renders are then fetched again)
+     * @param {Boolean} options.cache - set to false to neither use nor fill the shared resource cache
+     * @param {Object|Map} options.resources - maps URLs or globs to data URLs, Blobs or ArrayBuffers to use
+     *          instead of fetching resources
+     * @param {Boolean} options.offline - set to true to never fetch resources, only those from options.resources
+     *          (or from the cache) are inlined
+     * @param {Boolean|Object} options.persistentCache - set to true, or to {ttl} in milliseconds, to also keep
+     *          fetched resources in IndexedDB across page reloads
+     * @param {Function} options.onResourceError - called with (url, kind, reason) when a font or an image can't be fetched,
+     *          can return (a promise of) a data URL to use instead.
+     * @param {Boolean} options.strict - set to true to reject with a ResourceError when some resources can't be fetched
+     * @param {Function} options.onResourceReport - called with lists of inlined, replaced and skipped resources
+     * @param {Function|Boolean} options.fetch - a function with the signature of window.fetch to get resources with,
+     *          or true to use window.fetch instead of XMLHttpRequest
+     * @param {Object} options.headers - request headers to send along when fetching resources
+     * @param {String} options.credentials - 'omit', 'same-origin' or 'include', as for window.fetch,
+     *          resources are fetched with window.fetch when it's 'omit'
+     * @param {Number} options.timeout - milliseconds to wait for a resource before giving up on it, defaults to 30000
+     * @param {Number} options.concurrency - how many canvas snapshots or resource fetches may run at once, defaults to 6
+     * @param {Function} options.rewriteUrl - called with (url, kind), returns (a promise of) the url to fetch instead
+     * @param {String} options.corsProxy - URL template to fetch cross-origin resources through, '{url}' in it is replaced
+     *          with the encoded resource URL (which is appended when there is no '{url}')
+     * @param {AbortSignal} options.signal - aborting it stops the rendering, the promise is then rejected with an AbortError
+     * @param {Function} options.onClone - called with the cloned node before fonts and images are embedded,
+     *          can modify it in place and return a promise to delay the rendering.
+     * @param {Function} options.onProgress - called with {phase, done, total} as the rendering goes through
+     *          'load', 'clone', 'fonts', 'images', 'serialize' and 'rasterize' phases.
      * @return {Promise} - A promise that is fulfilled with a SVG image data URL
      * */
     function toSvg(node, options) {
         options = options || {};
-        copyOptions(options);
+        var context = newContext(options);
         return Promise.resolve(node)
             .then(function (node) {
-                return cloneNode(node, options.filter, true);
+                util.checkAborted(context.signal);
+                return loadImages(node, context);
+            })
+            .then(function (node) {
+                util.checkAborted(context.signal);
+                return cloneRoot(node, context);
+            })
+            .then(function (clone) {
+                return embedFonts(clone, context);
+            })
+            .then(function (clone) {
+                return inlineImages(clone, context);
+            })
+            .then(function (clone) {
+                return checkResources(clone, context);
             })
-            .then(embedFonts)
-            .then(inlineImages)
             .then(applyOptions)
             .then(function (clone) {
+                return context.shareStyles ? shareStyles(clone) : clone;
+            })
+            .then(function (clone) {
+                util.checkAborted(context.signal);
                 return makeSvgDataUri(clone,
                     options.width || util.width(node),
-                    options.height || util.height(node)
+                    options.height || util.height(node),
+                    context
                 );
             });
 
@@ -166,7 +265,8 @@
                 const capture_url = options.fallbackServer;
                 const response = await fetch(capture_url, {
                     method: 'post', 
-                    body: formData
+                    body: formData,
+                    signal: options.signal
                 });
                 if(!response.ok) {
                     throw new Error(`HTTP error! status: ${response.status}`);
@@ -241,7 +341,8 @@
                 const capture_url = options.fallbackServer;
                 const response = await fetch(capture_url, {
                     method: 'post', 
-                    body: formData
+                    body: formData,
+                    signal: options.signal
                 });
                 if(!response.ok) {
                     throw new Error(`HTTP error! status: ${response.status}`);
@@ -281,18 +382,93 @@
             .then(util.canvasToBlob);
     }
 
-    function copyOptions(options) {
-        // Copy options to impl options for use in impl
-        if(typeof(options.imagePlaceholder) === 'undefined') {
-            domtoimage.impl.options.imagePlaceholder = defaultOptions.imagePlaceholder;
-        } else {
-            domtoimage.impl.options.imagePlaceholder = options.imagePlaceholder;
+    /**
+     * Every render gets its own context, so that concurrent calls with
+     * different options can not see each other's settings.
+     * @param {Object} options - Rendering options, @see {@link toSvg}
+     * @return {Object} - A context object passed down the whole rendering pipeline
+     * */
+    function newContext(options) {
+        var context = {
+            filter: options.filter,
+            signal: options.signal,
+            onClone: options.onClone,
+            onLazyImage: options.onLazyImage,
+            onProgress: options.onProgress,
+            onResourceError: options.onResourceError,
+            onResourceReport: options.onResourceReport,
+            fetch: options.fetch,
+            headers: options.headers,
+            credentials: options.credentials,
+            rewriteUrl: options.rewriteUrl,
+            corsProxy: options.corsProxy,
+            persistentCache: options.persistentCache,
+            resources: options.resources,
+            offline: options.offline,
+            framePlaceholder: options.framePlaceholder,
+            report: {
+                inlined: [],
+                replaced: [],
+                skipped: []
+            }
+        };
+
+        Object.keys(defaultOptions).forEach(function (name) {
+            context[name] = typeof (options[name]) === 'undefined' ? defaultOptions[name] : options[name];
+        });
+
+        return context;
+    }
+
+    /**
+     * Rejection reason of a strict render which could not fetch some of its resources.
+     * @param {Array} failures - {url, kind, reason} of every resource that has been skipped
+     * */
+    function ResourceError(failures) {
+        this.name = 'ResourceError';
+        this.failures = failures;
+        this.urls = failures.map(function (failure) {
+            return failure.url;
+        });
+        this.message = 'cannot fetch resources: ' + this.urls.join(', ');
+        this.stack = new Error(this.message).stack;
+    }
+
+    ResourceError.prototype = Object.create(Error.prototype);
+    ResourceError.prototype.constructor = ResourceError;
+
+    /**
+     * @param {Object} context - object holding the onProgress callback, usually the render context
+     * @param {String} phase - name of the rendering phase reported
+     * @param {Number} total - number of steps in the phase
+     * @return {Object} - tracker with step() to report one more step done and finish() to complete the phase
+     * */
+    function trackProgress(context, phase, total) {
+        var done = 0;
+        report();
+
+        return {
+            step: step,
+            finish: finish
+        };
+
+        function step() {
+            if (done < total) done++;
+            report();
+        }
+
+        function finish() {
+            if (done === total) return;
+            done = total;
+            report();
         }
 
-        if(typeof(options.cacheBust) === 'undefined') {
-            domtoimage.impl.options.cacheBust = defaultOptions.cacheBust;
-        } else {
-            domtoimage.impl.options.cacheBust = options.cacheBust;
+        function report() {
+            if (context && context.onProgress) context.onProgress({
+                phase: phase,
+                done: done,
+                total: total
+            });
         }
     }
 
@@ -301,8 +477,11 @@
             .then(util.makeImage)
             .then(util.delay(100))
             .then(function (image) {
+                util.checkAborted(options.signal);
+                var progress = trackProgress(options, 'rasterize', 1);
                 var canvas = newCanvas(domNode);
                 canvas.getContext('2d').drawImage(image, 0, 0);
+                progress.step();
                 return canvas;
             });
 
@@ -321,61 +500,272 @@
         }
     }
 
-    function cloneNode(node, filter, root) {
-        if (!root && filter && !filter(node)) return Promise.resolve();
+    function loadImages(node, context) {
+        if (!context.loadImages) return Promise.resolve(node);
+
+        return images.loadAll(node, context)
+            .then(function () {
+                context.progress.finish();
+                return node;
+            });
+    }
+
+    function cloneRoot(node, context) {
+        context.progress = trackProgress(context, 'clone', context.onProgress ? countNodes(node) : 0);
+        context.tasks = [];
+        // Documents of frames and shadow roots the clone takes content from, for their fonts
+        context.styleRoots = [];
+        // Rules of styled pseudo-elements, collected in one stylesheet as fields can't hold one
+        context.pseudoElementRules = [];
+        // Style elements written for pseudo-elements, their images are inlined along with those of elements
+        context.pseudoElementStyles = [];
+        // Selectors of stylesheets of the documents and shadow roots cloned, by root
+        context.stylesheetSelectors = new WeakMap();
+        // Generated content of the trees walked for their counters and quotes
+        context.generatedContent = new WeakMap();
 
         return Promise.resolve(node)
-            .then(makeNodeCopy)
+            .then(function (node) {
+                if (!context.compactStyles) return cloneNode(node, context, true);
+
+                context.defaultStyles = newDefaultStyles();
+                try {
+                    return cloneNode(node, context, true);
+                } finally {
+                    context.defaultStyles.dispose();
+                }
+            })
+            .then(function (clone) {
+                if (clone instanceof Element && context.pseudoElementRules.length) {
+                    var styleElement = document.createElement('style');
+                    styleElement.appendChild(document.createTextNode(context.pseudoElementRules.join('\n')));
+                    clone.appendChild(styleElement);
+                    context.pseudoElementStyles.push(styleElement);
+                }
+                return clone;
+            })
             .then(function (clone) {
-                return cloneChildren(node, clone, filter);
+                // Work the walk couldn't do synchronously was left in context.tasks
+                return util.runAll(context.tasks, context.concurrency)
+                    .then(function () {
+                        return clone;
+                    });
             })
             .then(function (clone) {
-                return processClone(node, clone);
+                context.progress.finish();
+                if (!context.onClone) return clone;
+
+                return Promise.resolve(context.onClone(clone))
+                    .then(function () {
+                        return clone;
+                    });
             });
 
+        function countNodes(node) {
+            return util.asArray(childNodesOf(node)).reduce(function (count, child) {
+                return count + countNodes(child);
+            }, 1);
+        }
+    }
+
+    /**
+     * Children of the node in the flat tree: open shadow trees instead of the light DOM they hide,
+     * and nodes assigned to slots in place of their fallback content.
+     * */
+    function childNodesOf(node) {
+        if (util.isInstance(node, 'HTMLIFrameElement')) {
+            var frameDocument = frames.documentOf(node);
+            return frameDocument && frameDocument.documentElement ? [frameDocument.documentElement] : [];
+        }
+        if (node.shadowRoot) return node.shadowRoot.childNodes;
+        if (typeof node.assignedNodes === 'function' && node.assignedNodes().length) return node.assignedNodes();
+        return node.childNodes;
+    }
+
+    function computedStyleOf(element, pseudoElement) {
+        var view = element.ownerDocument.defaultView || window;
+        return view.getComputedStyle(element, pseudoElement);
+    }
+
+    function flatParentOf(node) {
+        if (node.assignedSlot) return node.assignedSlot;
+        if (node.parentElement) return node.parentElement;
+        return node.parentNode && node.parentNode.host || null;
+    }
+
+    function cloneNode(node, context, root) {
+        if (!root && context.filter && !context.filter(node)) return;
+
+        util.checkAborted(context.signal);
+        var clone = makeNodeCopy(node);
+        cloneChildren(node, clone);
+        processClone(node, clone);
+        context.progress.step();
+        return clone;
+
         function makeNodeCopy(node) {
-            if (node instanceof HTMLCanvasElement) return util.makeImage(node.toDataURL());
-            return node.cloneNode(false);
+            if (util.isInstance(node, 'HTMLCanvasElement')) return snapshotCanvas(node);
+            if (util.isInstance(node, 'HTMLVideoElement')) return snapshotVideo(node);
+            if (util.isInstance(node, 'HTMLIFrameElement')) return makeFrameCopy(node);
+            if (node.ownerDocument === document) return node.cloneNode(false);
+
+            // Nodes of frames, their images get absolute sources along with those of the page
+            return document.importNode(node, false);
         }
 
-        function cloneChildren(original, clone, filter) {
-            var children = original.childNodes;
-            if (children.length === 0) return Promise.resolve(clone);
+        // Frame contents are cloned into a block standing in for the frame
+        function makeFrameCopy(iframe) {
+            var copy = document.createElement('div');
+            if (frames.documentOf(iframe)) return copy;
 
-            return cloneChildrenInOrder(clone, util.asArray(children), filter)
-                .then(function () {
-                    return clone;
-                });
-
-            function cloneChildrenInOrder(parent, children, filter) {
-                var done = Promise.resolve();
-                children.forEach(function (child) {
-                    done = done
-                        .then(function () {
-                            return cloneNode(child, filter);
-                        })
-                        .then(function (childClone) {
-                            if (childClone) parent.appendChild(childClone);
+            if (context.crossOriginFrames) context.tasks.push(renderFrame);
+            else if (context.framePlaceholder) context.tasks.push(placeholdFrame);
+            return copy;
+
+            function renderFrame() {
+                return frames.requestImage(iframe, context)
+                    .then(function (dataUrl) {
+                        fillFrame(copy, dataUrl);
+                    }, function (error) {
+                        if (error.name === 'AbortError') throw error;
+                        if (!context.framePlaceholder) console.error('cannot render frame ' + iframe.src, error);
+                        return placeholdFrame();
+                    });
+            }
+
+            function placeholdFrame() {
+                var placeholder = context.framePlaceholder;
+                return Promise.resolve(typeof placeholder === 'function' ? placeholder(iframe) : placeholder)
+                    .then(function (placeholder) {
+                        fillFrame(copy, placeholder);
+                    });
+            }
+        }
+
+        function fillFrame(copy, content) {
+            if (!content) return;
+            if (typeof content !== 'string') return copy.appendChild(content);
+
+            var image = new Image();
+            image.style.cssText = 'display: block; width: 100%; height: 100%;';
+            image.src = content;
+            copy.appendChild(image);
+        }
+
+        function snapshotCanvas(canvas) {
+            var image = new Image();
+            context.tasks.push(function () {
+                return canvases.snapshot(canvas)
+                    .then(function (dataUrl) {
+                        return new Promise(function (resolve, reject) {
+                            image.onload = resolve;
+                            image.onerror = reject;
+                            image.src = dataUrl;
                         });
-                });
-                return done;
+                    });
+            });
+            return image;
+        }
+
+        /*
+         * The frame is drawn right away, as the video goes on playing, but encoded along with other deferred work.
+         * The image keeps the object-fit of the video, being of the same intrinsic size.
+         * */
+        function snapshotVideo(video) {
+            var image = new Image();
+            var frame = drawVideoFrame(video);
+
+            context.tasks.push(function () {
+                var source = readFrame(frame) || video.poster || context.imagePlaceholder;
+                if (source) image.src = source;
+            });
+            return image;
+
+            function drawVideoFrame(video) {
+                if (video.readyState < video.HAVE_CURRENT_DATA || !video.videoWidth) return null;
+
+                var canvas = document.createElement('canvas');
+                canvas.width = video.videoWidth;
+                canvas.height = video.videoHeight;
+                canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+                return canvas;
             }
+
+            function readFrame(canvas) {
+                if (!canvas) return '';
+                try {
+                    return canvas.toDataURL();
+                } catch (e) {
+                    // Cross-origin video has tainted the canvas
+                    return '';
+                }
+            }
+        }
+
+        function cloneChildren(original, clone) {
+            if (original.shadowRoot) context.styleRoots.push(original.shadowRoot);
+            if (util.isInstance(original, 'HTMLIFrameElement') && frames.documentOf(original))
+                context.styleRoots.push(frames.documentOf(original));
+
+            util.asArray(childNodesOf(original)).forEach(function (child) {
+                if (isScopedStyle(child) || isFrameHead(child) || isPictureSource(child)) return;
+                if (context.defaultStyles && context.defaultStyles.isSandbox(child)) return;
+
+                var childClone = cloneNode(child, context);
+                if (childClone) clone.appendChild(childClone);
+            });
+        }
+
+        // Styles of shadow trees and frames are part of computed styles already, in the clone they would apply to everything
+        function isScopedStyle(node) {
+            var isStyle = util.isInstance(node, 'HTMLStyleElement') ||
+                util.isInstance(node, 'HTMLLinkElement') && /\bstylesheet\b/i.test(node.rel);
+            return isStyle && (node.ownerDocument !== document || !!node.getRootNode().host);
+        }
+
+        // The image of the picture keeps the source picked, so that it isn't picked again in the SVG
+        function isPictureSource(node) {
+            return node.localName === 'source' && !!node.parentNode && node.parentNode.localName === 'picture';
+        }
+
+        function isFrameHead(node) {
+            return node.ownerDocument !== document && node === node.ownerDocument.head;
         }
 
         function processClone(original, clone) {
-            if (!(clone instanceof Element)) return clone;
+            if (!(clone instanceof Element)) return;
 
-            return Promise.resolve()
-                .then(cloneStyle)
-                .then(clonePseudoElements)
-                .then(copyUserInput)
-                .then(fixSvg)
-                .then(function () {
-                    return clone;
-                });
+            cloneStyle();
+            clonePseudoElements();
+            copyUserInput();
+            fixSvg();
+            fixFrame();
+            fixImage();
+            if (context.preserveScroll && !root) preserveScroll();
 
             function cloneStyle() {
-                copyStyle(window.getComputedStyle(original), clone.style);
+                var source = computedStyleOf(original);
+                var parent = flatParentOf(original);
+                var comparable = !root && parent && clone.localName === original.localName;
+
+                if (context.defaultStyles && comparable && context.defaultStyles.supports(original))
+                    copyDifferences(source, computedStyleOf(parent), clone.style);
+                else copyStyle(source, clone.style);
+
+                function copyDifferences(source, parentStyle, target) {
+                    var defaults = context.defaultStyles.get(original, parent, source, parentStyle);
+                    var isInherited = context.defaultStyles.isInherited;
+
+                    // Inline style of the original is already part of the computed one
+                    target.cssText = '';
+                    util.asArray(source).forEach(function (name) {
+                        var value = source.getPropertyValue(name);
+                        if (value === defaults[name] &&
+                            (!isInherited(name) || value === parentStyle.getPropertyValue(name))) return;
+
+                        target.setProperty(name, value, source.getPropertyPriority(name));
+                    });
+                }
 
                 function copyStyle(source, target) {
                     if (source.cssText) target.cssText = source.cssText;
@@ -397,9 +787,10 @@
                 [':before', ':after'].forEach(function (element) {
                     clonePseudoElement(element);
                 });
+                cloneStyledPseudoElements();
 
                 function clonePseudoElement(element) {
-                    var style = window.getComputedStyle(original, element);
+                    var style = computedStyleOf(original, element);
                     var content = style.getPropertyValue('content');
 
                     if (content === '' || content === 'none') return;
@@ -409,14 +800,15 @@
                     var styleElement = document.createElement('style');
                     styleElement.appendChild(formatPseudoElementStyle(className, element, style));
                     clone.appendChild(styleElement);
+                    context.pseudoElementStyles.push(styleElement);
 
                     function formatPseudoElementStyle(className, element, style) {
                         var selector = '.' + className + ':' + element;
+                        var content = generatedContent.resolve(original, element, style, context);
                         var cssText = style.cssText ? formatCssText(style) : formatCssProperties(style);
                         return document.createTextNode(selector + '{' + cssText + '}');
 
                         function formatCssText(style) {
-                            var content = style.getPropertyValue('content');
                             return style.cssText + ' content: ' + content + ';';
                         }
 
@@ -428,17 +820,131 @@
 
                             function formatProperty(name) {
                                 return name + ': ' +
-                                    style.getPropertyValue(name) +
+                                    (name === 'content' ? content : style.getPropertyValue(name)) +
                                     (style.getPropertyPriority(name) ? ' !important' : '');
                             }
                         }
                     }
                 }
+
+                function cloneStyledPseudoElements() {
+                    var styles = pseudoElements.stylesOf(original, context);
+                    if (!styles.length) return;
+
+                    var className = util.uid();
+                    clone.setAttribute('class', ((clone.getAttribute('class') || '') + ' ' + className).trim());
+                    styles.forEach(function (style) {
+                        context.pseudoElementRules.push('.' + className + style.name + '{' + style.cssText + '}');
+                    });
+                }
             }
 
+            // Live state of form controls is only kept by the clone where it goes into attributes
             function copyUserInput() {
-                if (original instanceof HTMLTextAreaElement) clone.innerHTML = original.value;
-                if (original instanceof HTMLInputElement) clone.setAttribute("value", original.value);
+                if (util.isInstance(original, 'HTMLTextAreaElement')) clone.textContent = original.value;
+                if (util.isInstance(original, 'HTMLInputElement')) copyInputState();
+                if (util.isInstance(original, 'HTMLOptionElement')) toggleAttribute('selected', original.selected);
+                if (util.isInstance(original, 'HTMLDetailsElement')) toggleAttribute('open', original.open);
+
+                // Progress with no value is indeterminate
+                if (util.isInstance(original, 'HTMLMeterElement') ||
+                    util.isInstance(original, 'HTMLProgressElement') && original.position !== -1)
+                    clone.setAttribute('value', original.value);
+
+                function copyInputState() {
+                    clone.setAttribute('value', original.value);
+                    if (!/^(checkbox|radio)$/.test(original.type)) return;
+
+                    toggleAttribute('checked', original.checked);
+                    if (original.type === 'checkbox' && original.indeterminate) drawIndeterminate();
+                }
+
+                /*
+                 * There's no attribute for it, so the box is drawn over with a dash instead. It keeps the size and
+                 * border of the checkbox, which compact styles may have left out as defaults, and takes the accent
+                 * color of the page or else its text color, as browsers have default accent colors of their own.
+                 * */
+                function drawIndeterminate() {
+                    var style = computedStyleOf(original);
+                    var accentColor = style.getPropertyValue('accent-color');
+                    var color = !accentColor || accentColor === 'auto' ? style.getPropertyValue('color') : accentColor;
+
+                    clone.removeAttribute('checked');
+                    ['box-sizing', 'width', 'height', 'border-top', 'border-right', 'border-bottom', 'border-left',
+                        'border-radius'].forEach(function (name) {
+                        var value = style.getPropertyValue(name);
+                        if (value) clone.style.setProperty(name, value);
+                    });
+                    clone.style.setProperty('-webkit-appearance', 'none');
+                    clone.style.setProperty('appearance', 'none');
+                    clone.style.setProperty('background-color', color);
+                    clone.style.setProperty('background-image', 'linear-gradient(white, white)');
+                    clone.style.setProperty('background-position', 'center');
+                    clone.style.setProperty('background-size', '60% 2px');
+                    clone.style.setProperty('background-repeat', 'no-repeat');
+                }
+
+                function toggleAttribute(name, on) {
+                    if (on) clone.setAttribute(name, '');
+                    else clone.removeAttribute(name);
+                }
+            }
+
+            function fixFrame() {
+                if (util.isInstance(original, 'HTMLIFrameElement')) {
+                    // Unlike the frame, a block doesn't get a size while inline, and it wouldn't clip its content
+                    if (clone.style.getPropertyValue('display') === 'inline') clone.style.setProperty('display', 'inline-block');
+                    clone.style.setProperty('overflow', 'hidden');
+                }
+
+                var frameDocument = original.ownerDocument;
+                if (frameDocument === document || original !== frameDocument.documentElement || !frameDocument.body) return;
+
+                // Background of the frame body is painted over the whole frame, unless the root has its own
+                if (clone.style.getPropertyValue('background-color') === 'rgba(0, 0, 0, 0)')
+                    clone.style.setProperty('background-color', computedStyleOf(frameDocument.body).getPropertyValue('background-color'));
+            }
+
+            /*
+             * The clone can't be scrolled, so its content is moved into a block translated by the scroll offsets.
+             * That block takes over the layout of flex and grid containers, as it would be their only item.
+             * */
+            function preserveScroll() {
+                var LAYOUT = new RegExp('^(flex-(direction|wrap)|justify-|align-(content|items)|' +
+                    'place-(content|items)|(row-|column-)?gap|grid-(template|auto)-)');
+
+                if (!original.scrollTop && !original.scrollLeft) return;
+                // Fields scroll their own text, which isn't cloned as nodes
+                if (!util.isInstance(original, 'HTMLElement') || /^(TEXTAREA|SELECT|INPUT)$/.test(original.tagName))
+                    return;
+
+                var source = computedStyleOf(original);
+                var display = source.getPropertyValue('display');
+                var content = document.createElement('div');
+
+                if (/(flex|grid)$/.test(display)) {
+                    content.style.setProperty('display', display.replace('inline-', ''));
+                    util.asArray(source).forEach(function (name) {
+                        if (LAYOUT.test(name)) content.style.setProperty(name, source.getPropertyValue(name));
+                    });
+                    clone.style.setProperty('display', /^inline/.test(display) ? 'inline-block' : 'block');
+                }
+                content.style.setProperty('transform',
+                    'translate(' + -original.scrollLeft + 'px, ' + -original.scrollTop + 'px)');
+
+                while (clone.firstChild) content.appendChild(clone.firstChild);
+                clone.appendChild(content);
+            }
+
+            function fixImage() {
+                if (!util.isInstance(original, 'HTMLImageElement')) return;
+
+                var source = images.sourceOf(original, context.imageScale);
+                if (source) clone.setAttribute('src', source);
+                clone.removeAttribute('srcset');
+                clone.removeAttribute('sizes');
+                // Detached lazy images wouldn't load their inlined source
+                clone.removeAttribute('loading');
             }
 
             function fixSvg() {
@@ -456,8 +962,8 @@
         }
     }
 
-    function embedFonts(node) {
-        return fontFaces.resolveAll()
+    function embedFonts(node, context) {
+        return fontFaces.resolveAll(context)
             .then(function (cssText) {
                 var styleNode = document.createElement('style');
                 node.appendChild(styleNode);
@@ -466,14 +972,57 @@
             });
     }
 
-    function inlineImages(node) {
-        return images.inlineAll(node)
+    function inlineImages(node, context) {
+        var elements = node instanceof Element ? node.getElementsByTagName('*').length + 1 : 0;
+        context.progress = trackProgress(context, 'images', elements);
+
+        return images.inlineAll(node, context)
             .then(function () {
+                context.progress.finish();
                 return node;
             });
     }
 
-    function makeSvgDataUri(node, width, height) {
+    function checkResources(node, context) {
+        if (context.onResourceReport) context.onResourceReport(context.report);
+        if (context.strict && context.report.skipped.length) throw new ResourceError(context.report.skipped);
+        return node;
+    }
+
+    function shareStyles(node) {
+        if (!(node instanceof Element)) return node;
+
+        var classNames = {};
+        var rules = [];
+        [node].concat(util.asArray(node.getElementsByTagName('*'))).forEach(function (element) {
+            var cssText = element.style && element.style.cssText;
+            if (!cssText) return;
+
+            if (!classNames.hasOwnProperty(cssText)) {
+                classNames[cssText] = util.uid();
+                rules.push('.' + classNames[cssText] + '{' + importantCssText(element.style) + '}');
+            }
+
+            element.removeAttribute('style');
+            element.setAttribute('class', ((element.getAttribute('class') || '') + ' ' + classNames[cssText]).trim());
+        });
+
+        var styleNode = document.createElement('style');
+        styleNode.appendChild(document.createTextNode(rules.join('\n')));
+        node.appendChild(styleNode);
+        return node;
+
+        // Inline styles win over rules of style elements within the node, moved ones have to be important for that
+        function importantCssText(style) {
+            return util.asArray(style).map(function (name) {
+                return name + ': ' + style.getPropertyValue(name) + ' !important;';
+            }).join(' ');
+        }
+    }
+
+    function makeSvgDataUri(node, width, height, context) {
+        var progress = trackProgress(context, 'serialize', 1);
+
         return Promise.resolve(node)
             .then(function (node) {
                 node.setAttribute('xmlns', 'http://www.w3.org/1999/xhtml');
@@ -488,11 +1037,17 @@
                     foreignObject + '</svg>';
             })
             .then(function (svg) {
+                progress.step();
                 return 'data:image/svg+xml;charset=utf-8,' + svg;
             });
     }
 
     function newUtil() {
+        // Downloads in flight, shared by renders which need the same resource at the same time
+        var pending = {};
+        // Options that change how a resource is fetched
+        var TRANSPORT_OPTIONS = ['fetch', 'timeout', 'credentials', 'rewriteUrl', 'corsProxy'];
+
         return {
             escape: escape,
             parseExtension: parseExtension,
@@ -502,9 +1057,15 @@
             canvasToBlob: canvasToBlob,
             resolveUrl: resolveUrl,
             getAndEncode: getAndEncode,
+            getDataUrl: getDataUrl,
+            sniffMimeType: sniffMimeType,
+            checkAborted: checkAborted,
+            abortError: abortError,
             uid: uid(),
             delay: delay,
             asArray: asArray,
+            isInstance: isInstance,
+            runAll: runAll,
             escapeXhtml: escapeXhtml,
             makeImage: makeImage,
             width: width,
@@ -513,7 +1074,7 @@
 
         function mimes() {
             /*
-             * Only WOFF and EOT mime types for fonts are 'real'
+             * Only used when the response doesn't tell the type and it can't be recognized from content,
              * see http://www.iana.org/assignments/media-types/media-types.xhtml
              */
             var WOFF = 'application/font-woff';
@@ -521,13 +1082,18 @@
 
             return {
                 'woff': WOFF,
-                'woff2': WOFF,
+                'woff2': 'font/woff2',
                 'ttf': 'application/font-truetype',
+                'otf': 'font/otf',
                 'eot': 'application/vnd.ms-fontobject',
                 'png': 'image/png',
                 'jpg': JPEG,
                 'jpeg': JPEG,
                 'gif': 'image/gif',
+                'webp': 'image/webp',
+                'avif': 'image/avif',
+                'bmp': 'image/bmp',
+                'ico': 'image/x-icon',
                 'tiff': 'image/tiff',
                 'svg': 'image/svg+xml'
             };
@@ -540,7 +1106,7 @@
         }
 
         function mimeType(url) {
-            var extension = parseExtension(url).toLowerCase();
+            var extension = parseExtension(url.split(/[?#]/)[0]).toLowerCase();
             return mimes()[extension] || '';
         }
 
@@ -607,110 +1173,454 @@
             });
         }
 
-        function getAndEncode(url) {
-            var TIMEOUT = 30000;
-            if(domtoimage.impl.options.cacheBust) {
-                // Cache bypass so we dont have CORS issues with cached images
-                // Source: https://developer.mozilla.org/en/docs/Web/API/XMLHttpRequest/Using_XMLHttpRequest#Bypassing_the_cache
-                url += ((/\?/).test(url) ? "&" : "?") + (new Date()).getTime();
+        function getAndEncode(url, context, kind) {
+            return getDataUrl(url, context, kind)
+                .then(function (dataUrl) {
+                    return dataUrl.split(/,/)[1] || '';
+                });
+        }
+
+        /**
+         * @param {String} url - resolved URL of the resource
+         * @param {Object} context - render context, defaults apply when not given
+         * @param {String} kind - 'font' or 'image'
+         * @return {Promise} - fulfilled with a data URL of the resource, or with an empty string when it was skipped
+         * */
+        function getDataUrl(url, context, kind) {
+            context = context || defaultOptions;
+            var cached = context.cache !== false && !context.cacheBust;
+
+            return Promise.resolve(url)
+                .then(function (url) {
+                    checkAborted(context.signal);
+                    var resource = context.resources && findResource(url, context.resources);
+                    if (typeof resource !== 'undefined') return encodeResource(resource, url);
+
+                    if (!cached) return download(url, context, kind);
+                    if (cache.has(url)) return cache.get(url);
+                    // Offline renders don't join downloads of others
+                    if (context.offline) return load(url, context, kind);
+                    return downloadOnce(url, context, kind);
+                })
+                .then(function (dataUrl) {
+                    record(context, 'inlined', url, kind);
+                    return dataUrl;
+                }, function (error) {
+                    if (context.signal && context.signal.aborted) throw abortError();
+                    return recover(url, kind, error.message, context);
+                });
+        }
+
+        function download(url, context, kind) {
+            return Promise.resolve(url)
+                .then(function (url) {
+                    if (context.offline) throw new Error('no resource given for ' + url + ' in offline mode');
+                    return context.rewriteUrl ? context.rewriteUrl(url, kind) : url;
+                })
+                .then(function (requestUrl) {
+                    if (context.corsProxy && isCrossOrigin(requestUrl)) requestUrl = proxied(requestUrl, context.corsProxy);
+
+                    if(context.cacheBust) {
+                        // Cache bypass so we dont have CORS issues with cached images
+                        // Source: https://developer.mozilla.org/en/docs/Web/API/XMLHttpRequest/Using_XMLHttpRequest#Bypassing_the_cache
+                        requestUrl += ((/\?/).test(requestUrl) ? "&" : "?") + (new Date()).getTime();
+                    }
+
+                    // XMLHttpRequest can't omit credentials of same-origin requests
+                    var viaFetch = context.fetch || context.credentials === 'omit';
+                    return viaFetch ? fetchBlob(requestUrl, context) : requestBlob(requestUrl, context);
+                })
+                .then(function (blob) {
+                    return encode(blob, url);
+                })
+                .then(function (dataUrl) {
+                    if (context.cache === false) return dataUrl;
+
+                    cache.set(url, dataUrl);
+                    if (context.persistentCache) persistentCache.set(url, dataUrl, context.persistentCache.ttl);
+                    return dataUrl;
+                });
+        }
+
+        function load(url, context, kind) {
+            if (!context.persistentCache) return download(url, context, kind);
+
+            return persistentCache.get(url)
+                .then(function (dataUrl) {
+                    if (typeof dataUrl === 'undefined') return download(url, context, kind);
+
+                    cache.set(url, dataUrl);
+                    return dataUrl;
+                });
+        }
+
+        /*
+         * Renders share a download only when they would fetch the resource the same way. One that joined a download
+         * retries on its own when it fails, as the failure (or abort) may be that of the render which started it.
+         * */
+        function downloadOnce(url, context, kind) {
+            var downloads = pending[url] = pending[url] || [];
+            var shared = downloads.filter(function (download) {
+                return sameTransport(download.context, context);
+            })[0];
+
+            if (!shared) {
+                shared = { context: context, promise: load(url, context, kind) };
+                downloads.push(shared);
+                shared.promise.then(forget, forget);
+                return shared.promise;
             }
 
-            return new Promise(function (resolve) {
+            return shared.promise.catch(function (error) {
+                if (context.signal && context.signal.aborted) throw error;
+                return load(url, context, kind);
+            });
+
+            function forget() {
+                downloads.splice(downloads.indexOf(shared), 1);
+                if (!downloads.length && pending[url] === downloads) delete pending[url];
+            }
+        }
+
+        function sameTransport(one, other) {
+            var sameOptions = TRANSPORT_OPTIONS.every(function (name) {
+                return one[name] === other[name];
+            });
+            var samePersistence = Boolean(one.persistentCache) === Boolean(other.persistentCache);
+            return sameOptions && samePersistence &&
+                JSON.stringify(one.headers || {}) === JSON.stringify(other.headers || {});
+        }
+
+        function isCrossOrigin(url) {
+            return new URL(url, document.baseURI).origin !== window.location.origin;
+        }
+
+        function proxied(url, template) {
+            var encoded = encodeURIComponent(new URL(url, document.baseURI).href);
+            if (template.indexOf('{url}') !== -1) return template.replace('{url}', encoded);
+            return template + encoded;
+        }
+
+        function requestBlob(url, context) {
+            var timeout = context.timeout || defaultOptions.timeout;
+
+            return new Promise(function (resolve, reject) {
+                // An abort while the URL was rewritten or looked up in the persistent cache has no listener to tell
+                checkAborted(context.signal);
                 var request = new XMLHttpRequest();
 
                 request.onreadystatechange = done;
-                request.ontimeout = timeout;
+                request.onerror = failed;
+                request.ontimeout = timedOut;
                 request.responseType = 'blob';
-                request.timeout = TIMEOUT;
+                request.timeout = timeout;
                 request.open('GET', url, true);
+                request.withCredentials = context.credentials === 'include';
+                if (context.headers)
+                    Object.keys(context.headers).forEach(function (name) {
+                        request.setRequestHeader(name, context.headers[name]);
+                    });
+                if (context.signal) context.signal.addEventListener('abort', abort);
                 request.send();
 
-                var placeholder;
-                if(domtoimage.impl.options.imagePlaceholder) {
-                    var split = domtoimage.impl.options.imagePlaceholder.split(/,/);
-                    if(split && split[1]) {
-                        placeholder = split[1];
-                    }
-                }
-
                 function done() {
                     if (request.readyState !== 4) return;
+                    if (context.signal) context.signal.removeEventListener('abort', abort);
+                    // Network errors, timeouts and aborts are reported by their own handlers
+                    if (request.status === 0) return;
 
-                    if (request.status !== 200) {
-                        if(placeholder) {
-                            resolve(placeholder);
-                        } else {
-                            fail('cannot fetch resource: ' + url + ', status: ' + request.status);
-                        }
+                    if (request.status !== 200) reject(new Error('cannot fetch resource: ' + url + ', status: ' + request.status));
+                    else resolve(request.response);
+                }
 
-                        return;
-                    }
+                function failed() {
+                    reject(new Error('cannot fetch resource: ' + url + ', status: ' + request.status));
+                }
 
-                    var encoder = new FileReader();
-                    encoder.onloadend = function () {
-                        var content = encoder.result.split(/,/)[1];
-                        resolve(content);
-                    };
-                    encoder.readAsDataURL(request.response);
+                function timedOut() {
+                    reject(new Error('timeout of ' + timeout + 'ms occured while fetching resource: ' + url));
                 }
 
-                function timeout() {
-                    if(placeholder) {
-                        resolve(placeholder);
-                    } else {
-                        fail('timeout of ' + TIMEOUT + 'ms occured while fetching resource: ' + url);
-                    }
+                function abort() {
+                    request.abort();
+                    reject(abortError());
+                }
+            });
+        }
+
+        function fetchBlob(url, context) {
+            var timeout = context.timeout || defaultOptions.timeout;
+            var transport = typeof context.fetch === 'function' ? context.fetch : fetch;
+            var controller = new window.AbortController();
+
+            return new Promise(function (resolve, reject) {
+                checkAborted(context.signal);
+                var timer = setTimeout(timedOut, timeout);
+                if (context.signal) context.signal.addEventListener('abort', abort);
+
+                Promise.resolve()
+                    .then(function () {
+                        return transport(url, {
+                            method: 'GET',
+                            headers: context.headers,
+                            credentials: context.credentials,
+                            signal: controller.signal
+                        });
+                    })
+                    .then(function (response) {
+                        if (!response.ok) throw new Error('cannot fetch resource: ' + url + ', status: ' + response.status);
+                        return response.blob();
+                    })
+                    .then(function (blob) {
+                        cleanUp();
+                        resolve(blob);
+                    }, function (error) {
+                        cleanUp();
+                        reject(error);
+                    });
+
+                function timedOut() {
+                    cleanUp();
+                    controller.abort();
+                    reject(new Error('timeout of ' + timeout + 'ms occured while fetching resource: ' + url));
+                }
+
+                function abort() {
+                    cleanUp();
+                    controller.abort();
+                    reject(abortError());
                 }
 
-                function fail(message) {
-                    console.error(message);
-                    resolve('');
+                function cleanUp() {
+                    clearTimeout(timer);
+                    if (context.signal) context.signal.removeEventListener('abort', abort);
                 }
             });
         }
 
-        function dataAsUrl(content, type) {
-            return 'data:' + type + ';base64,' + content;
+        function encode(blob, url) {
+            return Promise.all([contentType(blob, url), read(blob, 'readAsDataURL')])
+                .then(function (results) {
+                    return dataAsUrl(results[1].split(/,/)[1], results[0]);
+                });
         }
 
-        function escape(string) {
-            return string.replace(/([.*+?^${}()|\[\]\/\\])/g, '\\$1');
+        function read(blob, method) {
+            return new Promise(function (resolve, reject) {
+                var reader = new FileReader();
+                reader.onloadend = function () {
+                    if (reader.error) reject(reader.error);
+                    else resolve(reader.result);
+                };
+                reader[method](blob);
+            });
         }
 
-        function delay(ms) {
-            return function (arg) {
-                return new Promise(function (resolve) {
-                    setTimeout(function () {
-                        resolve(arg);
-                    }, ms);
+        /**
+         * Takes the type the server declared, unless it's a generic one, then looks at the content itself
+         * and, as a last resort, at the URL extension.
+         * */
+        function contentType(blob, url) {
+            var declared = blob.type.split(';')[0].trim().toLowerCase();
+            var generic = ['', 'application/octet-stream', 'binary/octet-stream', 'text/plain'];
+            if (generic.indexOf(declared) === -1) return Promise.resolve(declared);
+
+            return read(blob.slice(0, 256), 'readAsArrayBuffer')
+                .then(function (buffer) {
+                    return sniffMimeType(new Uint8Array(buffer)) || mimeType(url) || declared;
                 });
-            };
         }
 
-        function asArray(arrayLike) {
-            var array = [];
-            var length = arrayLike.length;
-            for (var i = 0; i < length; i++) array.push(arrayLike[i]);
-            return array;
+        /**
+         * @param {Uint8Array} bytes - first bytes of the resource
+         * @return {String} - mime type recognized from magic bytes, empty string if unknown
+         * */
+        function sniffMimeType(bytes) {
+            var head = String.fromCharCode.apply(null, bytes);
+
+            if (/^\x89PNG/.test(head)) return 'image/png';
+            if (/^\xFF\xD8\xFF/.test(head)) return 'image/jpeg';
+            if (/^GIF8[79]a/.test(head)) return 'image/gif';
+            if (/^RIFF[\s\S]{4}WEBP/.test(head)) return 'image/webp';
+            if (/^[\s\S]{4}ftypavi[fs]/.test(head)) return 'image/avif';
+            if (/^wOFF/.test(head)) return 'font/woff';
+            if (/^wOF2/.test(head)) return 'font/woff2';
+            if (/^(\x00\x01\x00\x00|true)/.test(head)) return 'font/ttf';
+            if (/^OTTO/.test(head)) return 'font/otf';
+            if (/^(\xEF\xBB\xBF)?\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE[^>]*>\s*)?<svg[\s>]/i.test(head))
+                return 'image/svg+xml';
+            return '';
         }
 
-        function escapeXhtml(string) {
-            return string.replace(/#/g, '%23').replace(/\n/g, '%0A');
-        }
+        /**
+         * @param {String} url - resolved URL of the resource
+         * @param {Object|Map} resources - resource map, keyed by URLs (resolved against the document) or globs,
+         *          '*' matching anything but '/' and '**' matching anything
+         * @return {String|Blob|ArrayBuffer} - the resource given for the URL, undefined when there is none
+         * */
+        function findResource(url, resources) {
+            var entries = resources instanceof Map ? Array.from(resources.entries()) : Object.keys(resources).map(function (key) {
+                return [key, resources[key]];
+            });
 
-        function width(node) {
-            var leftBorder = px(node, 'border-left-width');
-            var rightBorder = px(node, 'border-right-width');
-            return node.scrollWidth + leftBorder + rightBorder;
+            var exact = entries.filter(function (entry) {
+                return entry[0].indexOf('*') === -1 && new URL(entry[0], document.baseURI).href === url;
+            })[0];
+            if (exact) return exact[1];
+
+            var matching = entries.filter(function (entry) {
+                return entry[0].indexOf('*') !== -1 && globAsRegex(entry[0]).test(url);
+            })[0];
+            if (matching) return matching[1];
         }
 
-        function height(node) {
-            var topBorder = px(node, 'border-top-width');
-            var bottomBorder = px(node, 'border-bottom-width');
-            return node.scrollHeight + topBorder + bottomBorder;
+        function globAsRegex(glob) {
+            var pattern = glob.split('**')
+                .map(function (part) {
+                    return part.split('*').map(escape).join('[^/]*');
+                })
+                .join('.*');
+            return new RegExp('^' + pattern + '$');
         }
 
-        function px(node, styleProperty) {
+        function encodeResource(resource, url) {
+            if (resource instanceof Blob) return encode(resource, url);
+            if (resource instanceof ArrayBuffer) return encode(new Blob([resource]), url);
+
+            var comma = resource.indexOf(',');
+            var header = resource.slice(0, comma);
+            if (/;base64$/.test(header)) return Promise.resolve(resource);
+
+            return encode(new Blob([decodeURIComponent(resource.slice(comma + 1))], {
+                type: header.replace(/^data:/, '')
+            }), url);
+        }
+
+        function recover(url, kind, reason, context) {
+            return Promise.resolve(context.onResourceError && context.onResourceError(url, kind, reason))
+                .then(function (replacement) {
+                    replacement = replacement || context.imagePlaceholder;
+
+                    if (replacement) {
+                        record(context, 'replaced', url, kind, reason);
+                        return isDataUrl(replacement) ? replacement : dataAsUrl(replacement, mimeType(url));
+                    }
+
+                    // Callers that get the failure otherwise don't need it logged
+                    if (!context.onResourceError && !context.strict && !context.onResourceReport) console.error(reason);
+                    record(context, 'skipped', url, kind, reason);
+                    return '';
+                });
+        }
+
+        function record(context, outcome, url, kind, reason) {
+            if (!context.report) return;
+            context.report[outcome].push({
+                url: url,
+                kind: kind,
+                reason: reason
+            });
+        }
+
+        function abortError() {
+            try {
+                return new window.DOMException('The rendering was aborted', 'AbortError');
+            } catch (e) {
+                // Older browsers can not construct a DOMException
+                var error = new Error('The rendering was aborted');
+                error.name = 'AbortError';
+                return error;
+            }
+        }
+
+        function checkAborted(signal) {
+            if (signal && signal.aborted) throw abortError();
+        }
+
+        function dataAsUrl(content, type) {
+            return 'data:' + type + ';base64,' + content;
+        }
+
+        function escape(string) {
+            return string.replace(/([.*+?^${}()|\[\]\/\\])/g, '\\$1');
+        }
+
+        function delay(ms) {
+            return function (arg) {
+                return new Promise(function (resolve) {
+                    setTimeout(function () {
+                        resolve(arg);
+                    }, ms);
+                });
+            };
+        }
+
+        /**
+         * instanceof that also holds for nodes of frame documents, which have their own constructors
+         * @param {Node} node
+         * @param {String} type - name of the constructor, e.g. 'HTMLImageElement'
+         * */
+        function isInstance(node, type) {
+            if (node instanceof window[type]) return true;
+
+            var view = node.ownerDocument && node.ownerDocument.defaultView;
+            return !!view && view !== window && typeof view[type] === 'function' && node instanceof view[type];
+        }
+
+        /**
+         * @param {Array} tasks - functions returning (promises of) results
+         * @param {Number} concurrency - how many tasks may run at once, all of them when not given
+         * @return {Promise} - fulfilled with results of the tasks, in their order
+         * */
+        function runAll(tasks, concurrency) {
+            var results = new Array(tasks.length);
+            var next = 0;
+            var workers = [];
+            var count = Math.min(Math.max(concurrency || tasks.length, 1), tasks.length);
+            for (var i = 0; i < count; i++) workers.push(work());
+
+            return Promise.all(workers)
+                .then(function () {
+                    return results;
+                });
+
+            function work() {
+                if (next === tasks.length) return Promise.resolve();
+
+                var index = next++;
+                return Promise.resolve()
+                    .then(tasks[index])
+                    .then(function (result) {
+                        results[index] = result;
+                        return work();
+                    });
+            }
+        }
+
+        function asArray(arrayLike) {
+            var array = [];
+            var length = arrayLike.length;
+            for (var i = 0; i < length; i++) array.push(arrayLike[i]);
+            return array;
+        }
+
+        function escapeXhtml(string) {
+            return string.replace(/#/g, '%23').replace(/\n/g, '%0A');
+        }
+
+        function width(node) {
+            var leftBorder = px(node, 'border-left-width');
+            var rightBorder = px(node, 'border-right-width');
+            return node.scrollWidth + leftBorder + rightBorder;
+        }
+
+        function height(node) {
+            var topBorder = px(node, 'border-top-width');
+            var bottomBorder = px(node, 'border-bottom-width');
+            return node.scrollHeight + topBorder + bottomBorder;
+        }
+
+        function px(node, styleProperty) {
             var value = window.getComputedStyle(node).getPropertyValue(styleProperty);
             return parseFloat(value.replace('px', ''));
         }
@@ -743,16 +1653,21 @@
             });
         }
 
-        function inline(string, url, baseUrl, get) {
+        function inline(string, url, baseUrl, get, context, kind) {
             return Promise.resolve(url)
                 .then(function (url) {
                     return baseUrl ? util.resolveUrl(url, baseUrl) : url;
                 })
-                .then(get || util.getAndEncode)
-                .then(function (data) {
-                    return util.dataAsUrl(data, util.mimeType(url));
+                .then(function (resolvedUrl) {
+                    if (!get) return util.getDataUrl(resolvedUrl, context, kind);
+
+                    return Promise.resolve(get(resolvedUrl))
+                        .then(function (data) {
+                            return data && util.dataAsUrl(data, util.mimeType(url));
+                        });
                 })
                 .then(function (dataUrl) {
+                    if (!dataUrl) return string;
                     return string.replace(urlAsRegex(url), '$1' + dataUrl + '$3');
                 });
 
@@ -761,7 +1676,7 @@
             }
         }
 
-        function inlineAll(string, baseUrl, get) {
+        function inlineAll(string, baseUrl, get, context, kind) {
             if (nothingToInline()) return Promise.resolve(string);
 
             return Promise.resolve(string)
@@ -770,7 +1685,7 @@
                     var done = Promise.resolve(string);
                     urls.forEach(function (url) {
                         done = done.then(function (string) {
-                            return inline(string, url, baseUrl, get);
+                            return inline(string, url, baseUrl, get, context, kind);
                         });
                     });
                     return done;
@@ -790,13 +1705,21 @@
             }
         };
 
-        function resolveAll() {
-            return readAll(document)
+        function resolveAll(context) {
+            return readAll(context && context.styleRoots)
                 .then(function (webFonts) {
-                    return Promise.all(
+                    var progress = trackProgress(context, 'fonts', webFonts.length);
+                    return util.runAll(
                         webFonts.map(function (webFont) {
-                            return webFont.resolve();
-                        })
+                            return function () {
+                                return webFont.resolve(context)
+                                    .then(function (cssText) {
+                                        progress.step();
+                                        return cssText;
+                                    });
+                            };
+                        }),
+                        context && context.concurrency
                     );
                 })
                 .then(function (cssStrings) {
@@ -804,8 +1727,13 @@
                 });
         }
 
-        function readAll() {
-            return Promise.resolve(util.asArray(document.styleSheets))
+        /**
+         * @param {Array} roots - frame documents and shadow roots to read stylesheets of, along with the document ones
+         * @return {Promise} - fulfilled with web fonts, including those from constructed stylesheets
+         * */
+        function readAll(roots) {
+            return Promise.resolve([document].concat(roots || []))
+                .then(getStyleSheets)
                 .then(getCssRules)
                 .then(selectWebFontRules)
                 .then(function (rules) {
@@ -822,6 +1750,18 @@
                     });
             }
 
+            function getStyleSheets(roots) {
+                var styleSheets = [];
+                roots.forEach(function (root) {
+                    util.asArray(root.styleSheets || [])
+                        .concat(util.asArray(root.adoptedStyleSheets || []))
+                        .forEach(function (sheet) {
+                            if (styleSheets.indexOf(sheet) === -1) styleSheets.push(sheet);
+                        });
+                });
+                return styleSheets;
+            }
+
             function getCssRules(styleSheets) {
                 var cssRules = [];
                 styleSheets.forEach(function (sheet) {
@@ -836,9 +1776,11 @@
 
             function newWebFont(webFontRule) {
                 return {
-                    resolve: function resolve() {
-                        var baseUrl = (webFontRule.parentStyleSheet || {}).href;
-                        return inliner.inlineAll(webFontRule.cssText, baseUrl);
+                    resolve: function resolve(context) {
+                        var sheet = webFontRule.parentStyleSheet || {};
+                        // Stylesheets of frames don't share base URL with the document
+                        var baseUrl = sheet.href || sheet.ownerNode && sheet.ownerNode.baseURI;
+                        return inliner.inlineAll(webFontRule.cssText, baseUrl, null, context, 'font');
                     },
                     src: function () {
                         return webFontRule.style.getPropertyValue('src');
@@ -851,25 +1793,200 @@
     function newImages() {
         return {
             inlineAll: inlineAll,
+            loadAll: loadAll,
+            sourceOf: sourceOf,
             impl: {
-                newImage: newImage
+                newImage: newImage,
+                parseSrcset: parseSrcset
             }
         };
 
+        /**
+         * Images of the original node are made to load, lazy ones included, and decoded before the node is cloned.
+         * Those that can't load or decode in time are left for the clone as they are.
+         * @param {Node} node
+         * @param {Object} context - render context, its onLazyImage hook, timeout and progress apply
+         * @return {Promise}
+         * */
+        function loadAll(node, context) {
+            var elements = [];
+            collect(node);
+            context.progress = trackProgress(context, 'load', elements.length);
+
+            return Promise.all(elements.map(function (element) {
+                var lazy = element.getAttribute('loading') === 'lazy';
+
+                // Offline renders don't start loading anything, lazy images that haven't loaded are left as they are
+                if (context.offline) {
+                    return (lazy && !element.complete ? Promise.resolve() : settle(element))
+                        .then(context.progress.step);
+                }
+
+                return Promise.resolve(context.onLazyImage && context.onLazyImage(element))
+                    .then(function () {
+                        if (lazy) element.setAttribute('loading', 'eager');
+                        return settle(element);
+                    })
+                    .then(restore, function (error) {
+                        restore();
+                        throw error;
+                    })
+                    .then(context.progress.step);
+
+                // Once loaded, the image stays loaded
+                function restore() {
+                    if (lazy) element.setAttribute('loading', 'lazy');
+                }
+            }));
+
+            function collect(node) {
+                if (util.isInstance(node, 'HTMLImageElement')) elements.push(node);
+                util.asArray(childNodesOf(node)).forEach(collect);
+            }
+
+            function settle(element) {
+                return new Promise(function (resolve, reject) {
+                    util.checkAborted(context.signal);
+                    var timer = setTimeout(settled, context.timeout);
+                    if (context.signal) context.signal.addEventListener('abort', abort);
+                    decode(element).then(settled);
+
+                    function settled() {
+                        cleanUp();
+                        resolve();
+                    }
+
+                    function abort() {
+                        cleanUp();
+                        reject(util.abortError());
+                    }
+
+                    function cleanUp() {
+                        clearTimeout(timer);
+                        if (context.signal) context.signal.removeEventListener('abort', abort);
+                    }
+                });
+            }
+
+            function decode(element) {
+                var decoded = typeof element.decode === 'function' ? element.decode() : new Promise(function (resolve) {
+                    if (element.complete) return resolve();
+                    element.addEventListener('load', resolve);
+                    element.addEventListener('error', resolve);
+                });
+                // Broken images decode to nothing
+                return decoded.catch(function () {});
+            }
+        }
+
+        /**
+         * @param {HTMLImageElement} element
+         * @param {Number} scale - scale the output is meant to be shown at, to pick the srcset candidate that fits it
+         *          best instead of the one the browser picked for the page
+         * @return {String} - URL of the image source to inline
+         * */
+        function sourceOf(element, scale) {
+            var current = element.currentSrc || element.src;
+            if (!scale || !current) return current;
+
+            var candidates = candidatesOf(element, current);
+            var slotWidth = element.width || element.clientWidth;
+            candidates.forEach(function (candidate) {
+                candidate.density = candidate.width ? candidate.width / slotWidth : candidate.density;
+            });
+            candidates = candidates
+                .filter(function (candidate) {
+                    return isFinite(candidate.density);
+                })
+                .sort(function (a, b) {
+                    return a.density - b.density;
+                });
+            if (!candidates.length) return current;
+
+            var fitting = candidates.filter(function (candidate) {
+                return candidate.density >= scale;
+            });
+            return (fitting[0] || candidates[candidates.length - 1]).url;
+        }
+
+        // Candidates of the srcset the browser picked the current source from
+        function candidatesOf(element, current) {
+            var picture = element.parentElement;
+            var sources = picture && picture.localName === 'picture' ?
+                util.asArray(picture.children).filter(function (child) {
+                    return child.localName === 'source';
+                }) : [];
+
+            var sets = sources.concat(element)
+                .filter(function (source) {
+                    return source.hasAttribute('srcset');
+                })
+                .map(function (source) {
+                    return parseSrcset(source.getAttribute('srcset'), element.baseURI);
+                });
+            return sets.filter(function (candidates) {
+                return candidates.some(function (candidate) {
+                    return candidate.url === current;
+                });
+            })[0] || [];
+        }
+
+        /**
+         * @param {String} srcset
+         * @param {String} baseUrl - to resolve relative candidate URLs against
+         * @return {Array} - candidates as {url, density} or {url, width}
+         * */
+        function parseSrcset(srcset, baseUrl) {
+            var candidates = [];
+            var index = 0;
+
+            while (index < srcset.length) {
+                index += /^[\s,]*/.exec(srcset.slice(index))[0].length;
+                var url = /^\S*/.exec(srcset.slice(index))[0];
+                index += url.length;
+                if (!url) break;
+
+                var descriptor = '';
+                if (/,$/.test(url)) url = url.replace(/,+$/, '');
+                else {
+                    descriptor = /^[^,]*/.exec(srcset.slice(index))[0];
+                    index += descriptor.length + 1;
+                    descriptor = descriptor.trim();
+                }
+                candidates.push(candidateOf(util.resolveUrl(url, baseUrl), descriptor));
+            }
+            return candidates;
+
+            function candidateOf(url, descriptor) {
+                var width = /(?:^|\s)(\d+)w(?:\s|$)/.exec(descriptor);
+                var density = /(?:^|\s)([\d.]+)x(?:\s|$)/.exec(descriptor);
+
+                if (width) return { url: url, width: parseInt(width[1], 10) };
+                return { url: url, density: density ? parseFloat(density[1]) : 1 };
+            }
+        }
+
         function newImage(element) {
             return {
                 inline: inline
             };
 
-            function inline(get) {
+            function inline(get, context) {
                 if (util.isDataUrl(element.src)) return Promise.resolve();
 
                 return Promise.resolve(element.src)
-                    .then(get || util.getAndEncode)
-                    .then(function (data) {
-                        return util.dataAsUrl(data, util.mimeType(element.src));
+                    .then(function (url) {
+                        if (!get) return util.getDataUrl(url, context, 'image');
+
+                        return Promise.resolve(get(url))
+                            .then(function (data) {
+                                return data && util.dataAsUrl(data, util.mimeType(url));
+                            });
                     })
                     .then(function (dataUrl) {
+                        // Resources that could not be fetched are left as they are
+                        if (!dataUrl) return;
+
                         return new Promise(function (resolve, reject) {
                             element.onload = resolve;
                             element.onerror = reject;
@@ -879,38 +1996,1085 @@
             }
         }
 
-        function inlineAll(node) {
-            if (!(node instanceof Element)) return Promise.resolve(node);
+        function inlineAll(node, context) {
+            var tasks = [];
+            collect(node);
+            (context && context.pseudoElementStyles || []).forEach(function (styleElement) {
+                if (inliner.shouldProcess(styleElement.textContent))
+                    tasks.push(function () {
+                        return inlineStyleElement(styleElement);
+                    });
+            });
 
-            return inlineBackground(node)
+            return util.runAll(tasks, context && context.concurrency)
                 .then(function () {
-                    if (node instanceof HTMLImageElement)
-                        return newImage(node).inline();
-                    else
-                        return Promise.all(
-                            util.asArray(node.childNodes).map(function (child) {
-                                return inlineAll(child);
-                            })
-                        );
+                    return node;
                 });
 
-            function inlineBackground(node) {
-                var background = node.style.getPropertyValue('background');
+            function collect(node) {
+                if (!(node instanceof Element)) return;
 
-                if (!background) return Promise.resolve(node);
+                var properties = urlPropertiesOf(node);
+                var image = node instanceof HTMLImageElement;
 
-                return inliner.inlineAll(background)
-                    .then(function (inlined) {
-                        node.style.setProperty(
-                            'background',
-                            inlined,
-                            node.style.getPropertyPriority('background')
-                        );
-                    })
+                if (image || properties.length)
+                    tasks.push(function () {
+                        return inlineProperties(node, properties)
+                            .then(function () {
+                                if (image) return newImage(node).inline(null, context);
+                            })
+                            .then(progressed);
+                    });
+                else progressed();
+
+                if (!image) util.asArray(node.childNodes).forEach(collect);
+            }
+
+            function progressed() {
+                if (context && context.progress) context.progress.step();
+            }
+
+            // Backgrounds, masks, border images, list images, cursors, content and shapes alike
+            function urlPropertiesOf(node) {
+                if (!node.style || !inliner.shouldProcess(node.style.cssText)) return [];
+
+                return util.asArray(node.style).filter(function (name) {
+                    return inliner.shouldProcess(node.style.getPropertyValue(name));
+                });
+            }
+
+            function inlineProperties(node, properties) {
+                var inlined = properties.map(function (name) {
+                    return inliner.inlineAll(node.style.getPropertyValue(name), null, null, context, 'image')
+                        .then(function (value) {
+                            node.style.setProperty(name, value, node.style.getPropertyPriority(name));
+                        });
+                });
+
+                return Promise.all(inlined)
                     .then(function () {
                         return node;
                     });
             }
+
+            function inlineStyleElement(styleElement) {
+                return inliner.inlineAll(styleElement.textContent, null, null, context, 'image')
+                    .then(function (inlined) {
+                        styleElement.textContent = inlined;
+                    });
+            }
+        }
+    }
+
+    function newCanvases() {
+        var snapshots = new WeakMap();
+        // Canvases found to clear their drawing buffer once shown, and canvases already warned about being blank
+        var cleared = new WeakSet();
+        var warned = new WeakSet();
+        var blanks = {};
+
+        return {
+            register: register,
+            unregister: unregister,
+            snapshot: snapshot
+        };
+
+        /**
+         * @param {HTMLCanvasElement} canvas - WebGL or WebGPU canvas, which can't be read once its frame has been shown
+         * @param {Function} takeSnapshot - called with the canvas when it's rendered, returns (a promise of) a data URL,
+         *          or of anything that can be drawn to a canvas, like the canvas itself right after drawing a frame to it
+         * */
+        function register(canvas, takeSnapshot) {
+            snapshots.set(canvas, takeSnapshot);
+        }
+
+        function unregister(canvas) {
+            snapshots.delete(canvas);
+        }
+
+        /**
+         * @param {HTMLCanvasElement} canvas
+         * @return {Promise} - fulfilled with a data URL of the canvas content
+         * */
+        function snapshot(canvas) {
+            if (snapshots.has(canvas)) return takeRegistered(canvas);
+
+            var dataUrl = canvas.toDataURL();
+            if (!canvas.width || !canvas.height) return Promise.resolve(dataUrl);
+
+            var blank = blankDataUrl(canvas);
+            if (dataUrl !== blank) return Promise.resolve(dataUrl);
+
+            // WebGL and WebGPU drawing buffers are cleared once shown, but hold the frame right after the page draws it
+            return readInNextFrame(canvas)
+                .then(function (dataUrl) {
+                    if (dataUrl !== blank) {
+                        cleared.add(canvas);
+                        return dataUrl;
+                    }
+
+                    if (cleared.has(canvas))
+                        throw new Error('cannot snapshot canvas: its WebGL or WebGPU drawing buffer is cleared, ' +
+                            'register it with domtoimage.registerCanvas() or keep its drawing buffer');
+
+                    if (!warned.has(canvas)) {
+                        warned.add(canvas);
+                        console.warn('canvas is blank, if it is drawn with WebGL or WebGPU, ' +
+                            'register it with domtoimage.registerCanvas() or keep its drawing buffer', canvas);
+                    }
+                    return dataUrl;
+                });
+        }
+
+        function takeRegistered(canvas) {
+            return Promise.resolve(canvas)
+                .then(snapshots.get(canvas))
+                .then(function (result) {
+                    if (typeof result === 'string') return result;
+                    if (result && typeof result.toDataURL === 'function') return result.toDataURL();
+                    return draw(result);
+                })
+                .catch(function (error) {
+                    throw new Error('cannot snapshot canvas: ' + (error && error.message || error));
+                });
+
+            function draw(drawable) {
+                var copy = document.createElement('canvas');
+                copy.width = canvas.width;
+                copy.height = canvas.height;
+                copy.getContext('2d').drawImage(drawable, 0, 0, copy.width, copy.height);
+                return copy.toDataURL();
+            }
+        }
+
+        function readInNextFrame(canvas) {
+            return new Promise(function (resolve, reject) {
+                var done = false;
+                // Animation frames don't come in background tabs
+                var timer = setTimeout(read, 100);
+                requestAnimationFrame(read);
+
+                function read() {
+                    if (done) return;
+                    done = true;
+                    clearTimeout(timer);
+
+                    try {
+                        resolve(canvas.toDataURL());
+                    } catch (e) {
+                        reject(e);
+                    }
+                }
+            });
+        }
+
+        function blankDataUrl(canvas) {
+            var size = canvas.width + 'x' + canvas.height;
+            if (blanks[size]) return blanks[size];
+
+            var blank = document.createElement('canvas');
+            blank.width = canvas.width;
+            blank.height = canvas.height;
+            return (blanks[size] = blank.toDataURL());
+        }
+    }
+
+    function newFrames() {
+        var REQUEST = 'dom-to-image:render';
+        var RESPONSE = 'dom-to-image:rendered';
+
+        return {
+            documentOf: documentOf,
+            requestImage: requestImage
+        };
+
+        function documentOf(iframe) {
+            try {
+                return iframe.contentDocument;
+            } catch (e) {
+                // Cross-origin
+                return null;
+            }
         }
+
+        /**
+         * Asks dom-to-image-frame.js running in the frame to render its document.
+         * @param {HTMLIFrameElement} iframe
+         * @param {Object} context - render context, its timeout and signal apply
+         * @return {Promise} - fulfilled with a data URL of the frame image, sized to the frame viewport
+         * */
+        function requestImage(iframe, context) {
+            var frameWindow = iframe.contentWindow;
+            var origin = frameOrigin(iframe);
+            var id = util.uid();
+
+            return new Promise(function (resolve, reject) {
+                // Deferred tasks run after the clone is made, the render may have been aborted meanwhile
+                util.checkAborted(context.signal);
+                if (!frameWindow || origin === 'null') return reject(new Error('frame has no origin to ask: ' + iframe.src));
+
+                var timer = setTimeout(function () {
+                    finish(new Error('frame did not answer in ' + context.timeout + 'ms: ' + iframe.src));
+                }, context.timeout);
+                window.addEventListener('message', onMessage);
+                if (context.signal) context.signal.addEventListener('abort', onAbort);
+
+                // Nothing is sent if the frame has meanwhile navigated to some other origin
+                frameWindow.postMessage({
+                    type: REQUEST,
+                    id: id,
+                    format: context.crossOriginFrames === 'svg' ? 'svg' : 'png',
+                    width: iframe.clientWidth,
+                    height: iframe.clientHeight
+                }, origin);
+
+                function onMessage(event) {
+                    var data = event.data;
+                    if (event.source !== frameWindow || event.origin !== origin) return;
+                    if (!data || data.type !== RESPONSE || data.id !== id) return;
+
+                    if (data.error) finish(new Error(data.error));
+                    // Anything but an image data URL would be fetched with the credentials of the page
+                    else if (!isImageDataUrl(data.dataUrl)) finish(new Error('frame did not answer with an image: ' + iframe.src));
+                    else finish(null, data.dataUrl);
+                }
+
+                function onAbort() {
+                    finish(util.abortError());
+                }
+
+                function finish(error, dataUrl) {
+                    clearTimeout(timer);
+                    window.removeEventListener('message', onMessage);
+                    if (context.signal) context.signal.removeEventListener('abort', onAbort);
+
+                    if (error) reject(error);
+                    else resolve(dataUrl);
+                }
+            });
+        }
+
+        /*
+         * Sandboxed frames have an opaque origin, messages can't be addressed to them. Frames of srcdoc inherit the
+         * origin of the page, while those without a source (or with about: ones) have no companion script to ask.
+         * */
+        function frameOrigin(iframe) {
+            var sandbox = iframe.getAttribute('sandbox');
+            if (sandbox !== null && !/(^|\s)allow-same-origin(\s|$)/i.test(sandbox)) return 'null';
+            if (iframe.hasAttribute('srcdoc')) return window.location.origin;
+            if (!iframe.src || /^about:/i.test(iframe.src)) return 'null';
+            return originOf(iframe.src);
+        }
+
+        function originOf(url) {
+            try {
+                return new URL(url, document.baseURI).origin;
+            } catch (e) {
+                return 'null';
+            }
+        }
+
+        function isImageDataUrl(dataUrl) {
+            return typeof dataUrl === 'string' && dataUrl.indexOf('data:image/') === 0;
+        }
+    }
+
+    /*
+     * Pseudo-elements other than ::before and ::after always exist in computed styles, whether some rule targets them
+     * or not. Only properties that apply to each of them are compared, those it inherits with the element's own
+     * and the others with their initial values, so that a rule is only written for the styled ones.
+     * */
+    function newPseudoElements() {
+        var SIDES = ['top', 'right', 'bottom', 'left'];
+        var TEXT = ['color', 'font-family', 'font-size', 'font-style', 'font-weight', 'font-variant', 'line-height',
+            'letter-spacing', 'word-spacing', 'text-transform', 'text-shadow'];
+        var BACKGROUND = ['background-color', 'background-image'];
+        var BOX = sided('margin-%').concat(sided('padding-%'), sided('border-%-width'), sided('border-%-style'),
+            sided('border-%-color'), ['border-top-left-radius', 'border-top-right-radius',
+                'border-bottom-right-radius', 'border-bottom-left-radius']);
+        var INITIAL = {
+            'content': 'normal',
+            'float': 'none',
+            'vertical-align': 'baseline',
+            'text-decoration-line': 'none',
+            'box-shadow': 'none',
+            'opacity': '1',
+            'width': 'auto',
+            'height': 'auto',
+            'background-color': 'rgba(0, 0, 0, 0)',
+            'background-image': 'none'
+        };
+        var BLOCK = /^(block|list-item|inline-block|table-cell|table-caption|flow-root|flex|grid|inline-flex|inline-grid)$/;
+        var SCROLLING = /^(auto|scroll)$/;
+
+        var PSEUDO_ELEMENTS = [
+            {
+                name: '::marker',
+                selector: /::marker/,
+                inherited: TEXT,
+                initial: ['content'],
+                appliesTo: function (element, style) {
+                    return /list-item/.test(style.getPropertyValue('display'));
+                }
+            },
+            {
+                name: '::placeholder',
+                selector: /placeholder/,
+                inherited: TEXT,
+                initial: BACKGROUND.concat(['opacity']),
+                appliesTo: function (element) {
+                    var isField = util.isInstance(element, 'HTMLInputElement') ||
+                        util.isInstance(element, 'HTMLTextAreaElement');
+                    return isField && !!element.placeholder && !element.value;
+                }
+            },
+            {
+                name: '::first-letter',
+                selector: /:first-letter/,
+                inherited: TEXT,
+                initial: BACKGROUND.concat(BOX, ['float', 'vertical-align', 'text-decoration-line', 'box-shadow']),
+                appliesTo: isBlock
+            },
+            {
+                name: '::first-line',
+                selector: /:first-line/,
+                inherited: TEXT,
+                initial: BACKGROUND.concat(['text-decoration-line']),
+                appliesTo: isBlock
+            }
+        ].concat(['', '-thumb', '-track'].map(function (part) {
+            return {
+                name: '::-webkit-scrollbar' + part,
+                selector: new RegExp('::-webkit-scrollbar' + part),
+                inherited: [],
+                initial: BACKGROUND.concat(['width', 'height', 'border-top-left-radius', 'border-top-right-radius',
+                    'border-bottom-right-radius', 'border-bottom-left-radius']),
+                appliesTo: isScrolling
+            };
+        }));
+
+        return {
+            stylesOf: stylesOf
+        };
+
+        /**
+         * @param {Element} element
+         * @param {Object} context - render context, keeps selectors of the stylesheets read by the render
+         * @return {Array} - {name, cssText} of the styled pseudo-elements of the element
+         * */
+        function stylesOf(element, context) {
+            var root = element.getRootNode ? element.getRootNode() : element.ownerDocument;
+            if (!context.stylesheetSelectors.has(root)) context.stylesheetSelectors.set(root, selectorsOf(root));
+
+            // Only those some rule is about are worth looking up, element by element
+            var selectors = context.stylesheetSelectors.get(root);
+            var candidates = PSEUDO_ELEMENTS.filter(function (pseudoElement) {
+                return pseudoElement.selector.test(selectors);
+            });
+            if (!candidates.length) return [];
+
+            var style = computedStyleOf(element);
+            return candidates
+                .filter(function (pseudoElement) {
+                    return pseudoElement.appliesTo(element, style);
+                })
+                .map(function (pseudoElement) {
+                    return {
+                        name: pseudoElement.name,
+                        cssText: cssTextOf(pseudoElement, computedStyleOf(element, pseudoElement.name), style)
+                    };
+                })
+                .filter(function (pseudoElement) {
+                    return pseudoElement.cssText;
+                });
+        }
+
+        function cssTextOf(pseudoElement, pseudoStyle, style) {
+            var declarations = [];
+            // Browsers that don't know the pseudo-element have no real style to give for it
+            if (!/px$/.test(pseudoStyle.getPropertyValue('font-size'))) return '';
+
+            pseudoElement.inherited.forEach(function (name) {
+                add(name, style.getPropertyValue(name));
+            });
+            pseudoElement.initial.forEach(function (name) {
+                add(name, initialValueOf(name));
+            });
+            return declarations.join(' ');
+
+            function add(name, unstyled) {
+                var value = pseudoStyle.getPropertyValue(name);
+                if (value && value !== unstyled) declarations.push(name + ': ' + value + ';');
+            }
+
+            function initialValueOf(name) {
+                if (/^(margin|padding)-|-radius$/.test(name)) return '0px';
+                if (/^border-.*-style$/.test(name)) return 'none';
+                // Initial width is medium, but borders with no style have none
+                if (/^border-.*-width$/.test(name))
+                    return pseudoStyle.getPropertyValue(name.replace('-width', '-style')) === 'none' ?
+                        '0px' : '3px';
+                // Current color
+                if (/^border-.*-color$/.test(name)) return pseudoStyle.getPropertyValue('color');
+                return INITIAL[name];
+            }
+        }
+
+        // Stylesheets that can't be read, cross-origin ones, are left out as they are for web fonts
+        function selectorsOf(root) {
+            var selectors = [];
+            util.asArray(root.styleSheets || [])
+                .concat(util.asArray(root.adoptedStyleSheets || []))
+                .forEach(function (sheet) {
+                    try {
+                        collect(sheet.cssRules || []);
+                    } catch (e) {
+                        // Cross-origin
+                    }
+                });
+            return selectors.join('\n');
+
+            function collect(rules) {
+                util.asArray(rules).forEach(function (rule) {
+                    if (rule.selectorText) selectors.push(rule.selectorText);
+                    if (rule.cssRules) collect(rule.cssRules);
+                });
+            }
+        }
+
+        function isBlock(element, style) {
+            return BLOCK.test(style.getPropertyValue('display'));
+        }
+
+        function isScrolling(element, style) {
+            return SCROLLING.test(style.getPropertyValue('overflow-x')) ||
+                SCROLLING.test(style.getPropertyValue('overflow-y'));
+        }
+
+        function sided(pattern) {
+            return SIDES.map(function (side) {
+                return pattern.replace('%', side);
+            });
+        }
+    }
+
+    /*
+     * Counters and quotes in generated content depend on everything preceding it in the document, which the clone
+     * doesn't have, so they are resolved against the original: the tree it belongs to is walked once per render,
+     * in document order, keeping track of counters and of the quote depth as CSS does.
+     * */
+    function newGeneratedContent() {
+        var AUTO_QUOTES = ['“', '”', '‘', '’'];
+        var ROMAN = [[1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'], [50, 'l'], [40, 'xl'],
+            [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']];
+        var LATIN = 'abcdefghijklmnopqrstuvwxyz';
+        var GREEK = 'αβγδεζηθικλμνξοπρστυφχψω';
+        var SYMBOLS = { disc: '•', circle: '◦', square: '▪', none: '' };
+
+        return {
+            resolve: resolve,
+            parse: parse,
+            formatCounter: formatCounter
+        };
+
+        /**
+         * @param {Element} element
+         * @param {String} pseudoElement - ':before' or ':after'
+         * @param {CSSStyleDeclaration} style - computed style of the pseudo-element
+         * @param {Object} context - render context, keeps trees walked by the render
+         * @return {String} - content of the pseudo-element, its counters, attributes and quotes replaced with
+         *          the strings they stand for
+         * */
+        function resolve(element, pseudoElement, style, context) {
+            var content = style.getPropertyValue('content');
+            var tokens = parse(content);
+            var walked = tokens.some(function (token) {
+                return /^(counters?|(no-)?(open|close)-quote)$/.test(token.name);
+            });
+            var resolvable = walked || tokens.some(function (token) {
+                return token.name === 'attr';
+            });
+            if (!resolvable) return content;
+            if (!walked) return serialize(tokens, element, style, null);
+
+            var top = topOf(element);
+            if (!context.generatedContent.has(top)) context.generatedContent.set(top, walk(top));
+            var contents = context.generatedContent.get(top).get(element);
+            return contents && contents[pseudoElement] || content;
+        }
+
+        function walk(top) {
+            var contents = new WeakMap();
+            var counters = {};
+            var quoteDepth = 0;
+
+            visit(top, null);
+            return contents;
+
+            function visit(element, parent) {
+                var style = computedStyleOf(element);
+                // Elements that aren't displayed don't touch counters
+                if (style.getPropertyValue('display') === 'none') return;
+
+                var elementContents = {};
+                updateCounters(style, parent, /list-item/.test(style.getPropertyValue('display')));
+                visitPseudoElement(':before');
+                if (!util.isInstance(element, 'HTMLIFrameElement')) {
+                    util.asArray(childNodesOf(element)).forEach(function (child) {
+                        if (child instanceof Element) visit(child, element);
+                    });
+                }
+                visitPseudoElement(':after');
+                endScope(element);
+                contents.set(element, elementContents);
+
+                function visitPseudoElement(pseudoElement) {
+                    var pseudoStyle = computedStyleOf(element, pseudoElement);
+                    var content = pseudoStyle.getPropertyValue('content');
+                    if (!content || content === 'none' || content === 'normal') return;
+
+                    updateCounters(pseudoStyle, element, false);
+                    elementContents[pseudoElement] = serialize(parse(content), element, pseudoStyle, {
+                        counter: counter,
+                        quote: quote
+                    });
+                }
+            }
+
+            // A counter lives on for following siblings of the element creating it, until their parent ends
+            function updateCounters(style, scope, listItem) {
+                var increments = pairsOf(style.getPropertyValue('counter-increment'), 1);
+                if (listItem && !increments.some(function (pair) {
+                    return pair.name === 'list-item';
+                })) increments.push({ name: 'list-item', value: 1 });
+
+                pairsOf(style.getPropertyValue('counter-reset'), 0).forEach(function (pair) {
+                    var instances = counters[pair.name] = counters[pair.name] || [];
+                    var last = instances[instances.length - 1];
+                    if (last && last.scope === scope) last.value = pair.value;
+                    else instances.push({ value: pair.value, scope: scope });
+                });
+                increments.forEach(function (pair) {
+                    instanceOf(pair.name).value += pair.value;
+                });
+                pairsOf(style.getPropertyValue('counter-set'), 0).forEach(function (pair) {
+                    instanceOf(pair.name).value = pair.value;
+                });
+
+                function instanceOf(name) {
+                    var instances = counters[name] = counters[name] || [];
+                    if (!instances.length) instances.push({ value: 0, scope: scope });
+                    return instances[instances.length - 1];
+                }
+            }
+
+            function endScope(element) {
+                Object.keys(counters).forEach(function (name) {
+                    var instances = counters[name];
+                    while (instances.length && instances[instances.length - 1].scope === element) instances.pop();
+                });
+            }
+
+            function counter(name, all) {
+                var values = (counters[name] || []).map(function (instance) {
+                    return instance.value;
+                });
+                if (!values.length) values = [0];
+                return all ? values : values.slice(-1);
+            }
+
+            function quote(name, quotes) {
+                var open = /open/.test(name);
+                if (!open) quoteDepth = Math.max(quoteDepth - 1, 0);
+
+                var pair = Math.min(quoteDepth, quotes.length / 2 - 1);
+                var text = /^no-/.test(name) || pair < 0 ? '' : quotes[pair * 2 + (open ? 0 : 1)];
+
+                if (open) quoteDepth++;
+                return text;
+            }
+        }
+
+        function serialize(tokens, element, style, state) {
+            return tokens.map(function (token) {
+                var args = token.args && splitArguments(token.args);
+
+                if (token.name === 'attr') return quoted(element.getAttribute(args[0].trim().split(/\s+/)[0]) || '');
+                if (!state || !/^(counters?|(no-)?(open|close)-quote)$/.test(token.name)) return token.text;
+
+                if (/quote$/.test(token.name)) return quoted(state.quote(token.name, quotesOf(style)));
+                var all = token.name === 'counters';
+                var counterStyle = (args[all ? 2 : 1] || 'decimal').trim();
+                var separator = all && args[1] ? parse(args[1])[0].value : '';
+                return quoted(state.counter(args[0].trim(), all).map(function (value) {
+                    return formatCounter(value, counterStyle);
+                }).join(separator));
+            }).join(' ');
+        }
+
+        /**
+         * @param {String} content - a computed content value
+         * @return {Array} - tokens of it: strings with their value, functions and keywords with their name
+         *          (and arguments), anything else as is
+         * */
+        function parse(content) {
+            var tokens = [];
+            var index = 0;
+
+            while (index < content.length) {
+                var rest = content.slice(index);
+                var space = /^\s+/.exec(rest);
+                var word = /^[-a-zA-Z][-\w]*/.exec(rest);
+                var start = index;
+
+                if (space) {
+                    index += space[0].length;
+                    continue;
+                }
+
+                if (rest[0] === '"' || rest[0] === '\'') {
+                    index = skipString(content, index);
+                    var text = content.slice(start, index);
+                    tokens.push({ text: text, value: unescape(text.slice(1, -1)) });
+                } else if (word && content[index + word[0].length] === '(') {
+                    index = skipFunction(content, index + word[0].length);
+                    tokens.push({
+                        text: content.slice(start, index),
+                        name: word[0].toLowerCase(),
+                        args: content.slice(start + word[0].length + 1, index - 1)
+                    });
+                } else if (word) {
+                    index += word[0].length;
+                    tokens.push({ text: word[0], name: word[0].toLowerCase() });
+                } else {
+                    index++;
+                    tokens.push({ text: rest[0] });
+                }
+            }
+            return tokens;
+        }
+
+        function skipString(text, index) {
+            var quote = text[index++];
+            while (index < text.length && text[index] !== quote) index += text[index] === '\\' ? 2 : 1;
+            return index + 1;
+        }
+
+        function skipFunction(text, index) {
+            var depth = 0;
+            while (index < text.length) {
+                if (text[index] === '"' || text[index] === '\'') {
+                    index = skipString(text, index);
+                    continue;
+                }
+                if (text[index] === '(') depth++;
+                if (text[index] === ')' && --depth === 0) return index + 1;
+                index++;
+            }
+            return index;
+        }
+
+        function splitArguments(args) {
+            var parts = [];
+            var start = 0;
+            var index = 0;
+            while (index < args.length) {
+                if (args[index] === '"' || args[index] === '\'') {
+                    index = skipString(args, index);
+                    continue;
+                }
+                if (args[index] === ',') {
+                    parts.push(args.slice(start, index));
+                    start = index + 1;
+                }
+                index++;
+            }
+            return parts.concat(args.slice(start));
+        }
+
+        function unescape(text) {
+            return text.replace(/\\([0-9a-fA-F]{1,6}\s?|[\s\S])/g, function (match, escaped) {
+                if (!/^[0-9a-fA-F]/.test(escaped)) return escaped;
+                return String.fromCodePoint(parseInt(escaped, 16));
+            });
+        }
+
+        function quoted(text) {
+            return '"' + text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\a ') + '"';
+        }
+
+        function quotesOf(style) {
+            var quotes = style.getPropertyValue('quotes');
+            if (!quotes || quotes === 'auto') return AUTO_QUOTES;
+
+            return parse(quotes)
+                .filter(function (token) {
+                    return token.hasOwnProperty('value');
+                })
+                .map(function (token) {
+                    return token.value;
+                });
+        }
+
+        function pairsOf(value, defaultValue) {
+            var pairs = [];
+            (value || '').trim().split(/\s+/).forEach(function (part) {
+                if (!part || part === 'none') return;
+                if (/^[-+]?\d+$/.test(part) && pairs.length) pairs[pairs.length - 1].value = parseInt(part, 10);
+                else pairs.push({ name: part, value: defaultValue });
+            });
+            return pairs;
+        }
+
+        function topOf(element) {
+            var top = element;
+            while (flatParentOf(top) instanceof Element) top = flatParentOf(top);
+            return top;
+        }
+
+        /**
+         * @param {Number} value
+         * @param {String} style - a counter style, such as decimal or lower-roman
+         * @return {String}
+         * */
+        function formatCounter(value, style) {
+            if (SYMBOLS.hasOwnProperty(style)) return SYMBOLS[style];
+            if (style === 'decimal-leading-zero') return (value < 0 ? '-' : '') + ('0' + Math.abs(value)).slice(-2);
+            if (/^(lower|upper)-roman$/.test(style) && value > 0 && value < 4000)
+                return cased(roman(value), style);
+            if (/^(lower|upper)-(alpha|latin)$/.test(style) && value > 0) return cased(alphabetic(value, LATIN), style);
+            if (style === 'lower-greek' && value > 0) return alphabetic(value, GREEK);
+            return String(value);
+
+            function roman(value) {
+                return ROMAN.reduce(function (text, numeral) {
+                    while (value >= numeral[0]) {
+                        text += numeral[1];
+                        value -= numeral[0];
+                    }
+                    return text;
+                }, '');
+            }
+
+            function alphabetic(value, letters) {
+                var text = '';
+                while (value > 0) {
+                    value--;
+                    text = letters[value % letters.length] + text;
+                    value = Math.floor(value / letters.length);
+                }
+                return text;
+            }
+
+            function cased(text, style) {
+                return /^upper/.test(style) ? text.toUpperCase() : text;
+            }
+        }
+    }
+
+    /**
+     * Computes default styles of elements on pristine copies of them in an empty document,
+     * which is what clones get in the SVG for whatever isn't set inline.
+     * */
+    function newDefaultStyles() {
+        var INHERITED = new RegExp('^(--|(-webkit-)?(font|text-|letter-spacing|word-|line-|list-style|white-space|' +
+            'color|caret-color|accent-color|cursor|direction|visibility|quotes|tab-size|orphans|widows|hyphen|' +
+            'overflow-wrap|writing-mode|border-collapse|border-spacing|border-horizontal-spacing|' +
+            'border-vertical-spacing|caption-side|empty-cells|fill|stroke|marker|paint-order|pointer-events|' +
+            'clip-rule|shape-rendering|image-rendering|image-orientation|dominant-baseline|text-anchor|ruby|' +
+            'print-color-adjust|speak|hanging-punctuation|user-modify|locale|rtl-ordering|math-))');
+        // Inherited properties that UA defaults of other properties are relative to
+        var RELATIVE_TO = ['font-size', 'color', 'writing-mode', 'direction'];
+        // Attributes that can't change how the element looks by default
+        var IGNORED_ATTRIBUTE = /^(id|class|style|src|srcset|sizes|alt|title|name|value|placeholder|for|action|content|data-.*|aria-.*|on.*)$/;
+
+        var sandbox = document.createElement('iframe');
+        sandbox.style.cssText = 'position: fixed; visibility: hidden; width: 0; height: 0; border: 0;';
+        document.body.appendChild(sandbox);
+
+        var sandboxDocument = sandbox.contentDocument;
+        sandboxDocument.open();
+        sandboxDocument.write('<!DOCTYPE html><html><head></head><body></body></html>');
+        sandboxDocument.close();
+
+        var styles = {};
+
+        return {
+            supports: supports,
+            get: get,
+            isInherited: isInherited,
+            isSandbox: isSandbox,
+            dispose: dispose
+        };
+
+        // The walk comes across the sandbox when rendering the body
+        function isSandbox(node) {
+            return node === sandbox;
+        }
+
+        function supports(element) {
+            return element.namespaceURI === 'http://www.w3.org/1999/xhtml';
+        }
+
+        function isInherited(name) {
+            return INHERITED.test(name);
+        }
+
+        /**
+         * @param {Element} element - original element
+         * @param {Element} parent - element the clone of it is appended to, the slot for slotted elements
+         * @param {CSSStyleDeclaration} style - computed style of the element
+         * @param {CSSStyleDeclaration} parentStyle - computed style of its parent
+         * @return {Object} - property values the clone of the element gets when they are not set inline
+         * */
+        function get(element, parent, style, parentStyle) {
+            var parentDeclarations = declarations(parentStyle, RELATIVE_TO);
+            var key = parent.localName + '>' + elementKey(element) + '{' + parentDeclarations + '}';
+            var defaults = lookup(key, element, parent, parentDeclarations, '');
+
+            // Whatever of these the clone gets inline, its other defaults are relative to
+            var ownDeclarations = declarations(style, RELATIVE_TO.filter(function (name) {
+                return style.getPropertyValue(name) !== defaults[name];
+            }));
+            if (!ownDeclarations) return defaults;
+
+            return lookup(key + '{' + ownDeclarations + '}', element, parent, parentDeclarations, ownDeclarations);
+        }
+
+        function lookup(key, element, parent, parentDeclarations, ownDeclarations) {
+            if (!styles.hasOwnProperty(key))
+                styles[key] = computeDefaults(element, parent, parentDeclarations, ownDeclarations);
+            return styles[key];
+        }
+
+        function computeDefaults(element, parent, parentDeclarations, ownDeclarations) {
+            var container = sandboxDocument.createElement(parent.localName);
+            container.style.cssText = parentDeclarations;
+
+            var reference = sandboxDocument.createElement(element.localName);
+            relevantAttributes(element).forEach(function (attribute) {
+                reference.setAttribute(attribute.name, attribute.value);
+            });
+            reference.style.cssText = ownDeclarations;
+
+            container.appendChild(reference);
+            sandboxDocument.body.appendChild(container);
+
+            var style = sandbox.contentWindow.getComputedStyle(reference);
+            var defaults = {};
+            util.asArray(style).forEach(function (name) {
+                defaults[name] = style.getPropertyValue(name);
+            });
+
+            sandboxDocument.body.removeChild(container);
+            return defaults;
+        }
+
+        function elementKey(element) {
+            return element.localName + relevantAttributes(element)
+                .map(function (attribute) {
+                    return '[' + attribute.name + '="' + attribute.value + '"]';
+                })
+                .join('');
+        }
+
+        function relevantAttributes(element) {
+            return util.asArray(element.attributes)
+                .filter(function (attribute) {
+                    return !IGNORED_ATTRIBUTE.test(attribute.name);
+                })
+                .map(function (attribute) {
+                    // Links look the same wherever they point to
+                    return {
+                        name: attribute.name,
+                        value: attribute.name === 'href' ? '' : attribute.value
+                    };
+                });
+        }
+
+        function declarations(style, names) {
+            return names
+                .filter(function (name) {
+                    return style.getPropertyValue(name);
+                })
+                .map(function (name) {
+                    return name + ': ' + style.getPropertyValue(name) + ';';
+                })
+                .join(' ');
+        }
+
+        function dispose() {
+            if (sandbox.parentNode) sandbox.parentNode.removeChild(sandbox);
+        }
+    }
+
+    function newCache() {
+        // Cached content is base64 data URLs, so their length is close to the memory they take
+        var DEFAULT_MAX_SIZE = 50 * 1024 * 1024;
+
+        var entries = new Map();
+        var size = 0;
+        var maxSize = DEFAULT_MAX_SIZE;
+
+        return {
+            has: has,
+            get: get,
+            set: set,
+            clear: clear,
+            resize: resize,
+            size: function () {
+                return size;
+            }
+        };
+
+        function has(key) {
+            return entries.has(key);
+        }
+
+        function get(key) {
+            if (!entries.has(key)) return undefined;
+
+            // Re-insert to mark the entry as most recently used
+            var value = entries.get(key);
+            entries.delete(key);
+            entries.set(key, value);
+            return value;
+        }
+
+        function set(key, value) {
+            remove(key);
+            if (value.length > maxSize) return;
+
+            entries.set(key, value);
+            size += value.length;
+            evict();
+        }
+
+        function clear() {
+            entries.clear();
+            size = 0;
+        }
+
+        /**
+         * @param {Number} newMaxSize - size budget of the cache in characters of encoded content, 0 disables caching
+         * */
+        function resize(newMaxSize) {
+            maxSize = typeof newMaxSize === 'undefined' ? DEFAULT_MAX_SIZE : newMaxSize;
+            evict();
+        }
+
+        function remove(key) {
+            if (!entries.has(key)) return;
+            size -= entries.get(key).length;
+            entries.delete(key);
+        }
+
+        function evict() {
+            while (size > maxSize) remove(entries.keys().next().value);
+        }
+    }
+
+    function newPersistentCache() {
+        var DATABASE = 'dom-to-image';
+        var STORE = 'resources';
+        // Default is to keep resources for a week
+        var DEFAULT_TTL = 7 * 24 * 60 * 60 * 1000;
+
+        var database;
+
+        return {
+            get: get,
+            set: set,
+            clear: clear
+        };
+
+        /**
+         * @param {String} key - resolved URL of the resource
+         * @return {Promise} - fulfilled with the encoded content, or undefined when missing, expired or
+         *          when IndexedDB can't be used
+         * */
+        function get(key) {
+            return transaction('readonly', function (store) {
+                    return store.get(key);
+                })
+                .then(function (entry) {
+                    if (!entry) return undefined;
+                    if (entry.expires > Date.now()) return entry.content;
+
+                    remove(key);
+                    return undefined;
+                })
+                .catch(function () {
+                    return undefined;
+                });
+        }
+
+        function set(key, content, ttl) {
+            return transaction('readwrite', function (store) {
+                    return store.put({
+                        content: content,
+                        expires: Date.now() + (typeof ttl === 'number' ? ttl : DEFAULT_TTL)
+                    }, key);
+                })
+                .catch(ignore);
+        }
+
+        function remove(key) {
+            return transaction('readwrite', function (store) {
+                    return store.delete(key);
+                })
+                .catch(ignore);
+        }
+
+        function clear() {
+            return transaction('readwrite', function (store) {
+                    return store.clear();
+                })
+                .catch(ignore);
+        }
+
+        function transaction(mode, operation) {
+            return open()
+                .then(function (db) {
+                    return new Promise(function (resolve, reject) {
+                        var tx = db.transaction(STORE, mode);
+                        var request = operation(tx.objectStore(STORE));
+                        tx.oncomplete = function () {
+                            resolve(request.result);
+                        };
+                        tx.onerror = tx.onabort = function () {
+                            reject(tx.error);
+                        };
+                    });
+                });
+        }
+
+        function open() {
+            if (database) return database;
+
+            database = new Promise(function (resolve, reject) {
+                if (!window.indexedDB) throw new Error('IndexedDB is not available');
+
+                var request = window.indexedDB.open(DATABASE, 1);
+                request.onupgradeneeded = function () {
+                    request.result.createObjectStore(STORE);
+                };
+                request.onsuccess = function () {
+                    resolve(request.result);
+                };
+                request.onerror = function () {
+                    reject(request.error);
+                };
+            });
+
+            // Try again next time, e.g. after storage has been freed
+            database.catch(function () {
+                database = undefined;
+            });
+
+            return database;
+        }
+
+        function ignore() {}
     }
 })(this);